@@ -1,104 +1,323 @@
-import React, { useState, useMemo } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import {
+    ComposedChart, Area, Line, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
+    ReferenceLine, ReferenceArea, ReferenceDot
+} from 'recharts';
+import { calculateFleetData } from './lib/fleet';
+import { getKeyInsights, mergeScenarioData, seriesKey, SCENARIO_DASHES } from './lib/scenarios';
+import ScheduleTable from './components/ScheduleTable';
+import ScenarioComparison from './components/ScenarioComparison';
+import FleetEditor from './components/FleetEditor';
+import ReplacementSimulation from './components/ReplacementSimulation';
+import LeaseBuyRentComparison from './components/LeaseBuyRentComparison';
+import HeavyUseTierEditor from './components/HeavyUseTierEditor';
+import MileageModelControls from './components/MileageModelControls';
+import ResaleCurveImport from './components/ResaleCurveImport';
+import ReportActions from './components/ReportActions';
+import LoanEventsEditor from './components/LoanEventsEditor';
+import CurrencySettings from './components/CurrencySettings';
+import SensitivityAnalysis from './components/SensitivityAnalysis';
+import MonteCarloControls from './components/MonteCarloControls';
+import { fitResaleCurves, parseResaleCSV } from './lib/curveFit';
+import { analyzeUnderwater } from './lib/underwater';
+import RangeSliderField from './components/RangeSliderField';
+import {
+    ANNUAL_RATE_MODELS, DEFAULT_HEAVY_USE_TIERS, DEFAULT_MILEAGE_OPTIONS, convertDepreciationRate
+} from './lib/depreciation';
+import { DEFAULT_RANGES } from './lib/ranges';
+import {
+    CHART_LEGEND, SIMULATION_LEGEND, buildReportHTML, describeReportInputs, describeReportInsights
+} from './lib/report';
+import { DEFAULT_SIMULATION, runMonteCarlo } from './lib/monteCarlo';
+import { serializeSvg } from './lib/download';
+import { compareToBaseline, hasLoanEvents, withoutLoanEvents } from './lib/loanEvents';
+import {
+    CURRENCIES, convertAmount, convertFleetInputs, createCompactFormatter, createCurrencyFormatter, currencySymbol
+} from './lib/currency';
+import { decodeScenarioParams, encodeScenarioParams, sanitizeScenario } from './lib/scenarioState';
+import {
+    loadCurrencySettings, loadCurrentScenario, loadSavedScenarios, loadSliderRanges, storeCurrencySettings,
+    storeCurrentScenario, storeSavedScenarios, storeSliderRanges
+} from './lib/persistence';
+
+// A shared link wins over the last session, which wins over the defaults.
+const readInitialScenario = () => (
+    decodeScenarioParams(window.location.hash) || loadCurrentScenario() || sanitizeScenario()
+);
+
+// What a Monte Carlo run depends on; bands from a run with another key are stale.
+const simulationKey = (inputs, classId, { enabled, ...settings }) => JSON.stringify({ inputs, classId, settings });
+
+const nextId = (prefix, items) => `${prefix}${Math.max(0, ...items.map((item) => Number(item.id.slice(prefix.length)) || 0)) + 1}`;
 
 const VehicleDepreciationApp = () => {
-    const [depreciationRate, setDepreciationRate] = useState(1.0);
-    const [depreciationModel, setDepreciationModel] = useState('monthly');
-    const [loanTerm, setLoanTerm] = useState(60);
-    const [interestRate, setInterestRate] = useState(6.8);
-    const [loanValue, setLoanValue] = useState(65000);
-    const [numVehicles, setNumVehicles] = useState(1);
-
-    const calculateData = useMemo(() => {
-        // Step 1: Calculate fleet totals
-        const totalFleetValue = numVehicles * loanValue;
-        const totalLoanAmount = totalFleetValue;
-
-        // Step 2: Calculate monthly payment
-        const monthlyRate = interestRate / 100 / 12;
-        let totalMonthlyPayment;
-
-        if (monthlyRate === 0) {
-            totalMonthlyPayment = totalLoanAmount / loanTerm;
-        } else {
-            const factor = Math.pow(1 + monthlyRate, loanTerm);
-            totalMonthlyPayment = totalLoanAmount * monthlyRate * factor / (factor - 1);
-        }
+    const [initialScenario] = useState(readInitialScenario);
+    const [vehicleClasses, setVehicleClasses] = useState(initialScenario.vehicleClasses);
+    const [activeClassId, setActiveClassId] = useState(initialScenario.vehicleClasses[0].id);
+    const [chartView, setChartView] = useState('fleet');
+    const [downPayment, setDownPayment] = useState(initialScenario.downPayment);
+    const [downPaymentType, setDownPaymentType] = useState(initialScenario.downPaymentType);
+    const [tradeInCredit, setTradeInCredit] = useState(initialScenario.tradeInCredit);
+    const [salesTaxRate, setSalesTaxRate] = useState(initialScenario.salesTaxRate);
+    const [fees, setFees] = useState(initialScenario.fees);
+    const [purchaseCurrency, setPurchaseCurrency] = useState(initialScenario.purchaseCurrency);
+
+    const [resaleData, setResaleData] = useState(null);
+    const [simulation, setSimulation] = useState(DEFAULT_SIMULATION);
+    const [simulationRun, setSimulationRun] = useState(null);
+
+    const [savedScenarios, setSavedScenarios] = useState(loadSavedScenarios);
+    const [ranges, setRanges] = useState(loadSliderRanges);
+    const [currencySettings, setCurrencySettings] = useState(loadCurrencySettings);
+    const chartRef = useRef(null);
+
+    // The sliders edit whichever vehicle class is active in the fleet editor.
+    const activeClass = vehicleClasses.find((vehicleClass) => vehicleClass.id === activeClassId) || vehicleClasses[0];
+    const { depreciationModel, depreciationRate, loanTerm, interestRate, purchasePrice, numVehicles } = activeClass;
+    const isAnnualRate = ANNUAL_RATE_MODELS.includes(depreciationModel);
+    const rateRangeKey = isAnnualRate ? 'annualDepreciationRate' : 'monthlyDepreciationRate';
+    const downPaymentRangeKey = downPaymentType === 'percent' ? 'downPaymentPercent' : 'downPaymentDollars';
+
+    // Switching model carries the rate over as the equivalent rate under the
+    // new model rather than resetting it.
+    const withModelChange = (vehicleClass, changes) => {
+        if (!changes.depreciationModel || 'depreciationRate' in changes) return changes;
+        const depreciationRate = convertDepreciationRate(
+            vehicleClass.depreciationRate,
+            vehicleClass.depreciationModel,
+            changes.depreciationModel,
+            { horizon: vehicleClass.loanTerm, heavyUseTiers: vehicleClass.heavyUseTiers }
+        );
+        return { ...changes, depreciationRate };
+    };
+
+    const updateVehicleClass = (id, changes) => {
+        setVehicleClasses((classes) => classes.map((vehicleClass) => (
+            vehicleClass.id === id ? { ...vehicleClass, ...withModelChange(vehicleClass, changes) } : vehicleClass
+        )));
+    };
+
+    const setRange = (key, range) => setRanges({ ...ranges, [key]: range });
+
+    const setDepreciationModel = (value) => updateVehicleClass(activeClass.id, { depreciationModel: value });
+    const setDepreciationRate = (value) => updateVehicleClass(activeClass.id, { depreciationRate: value });
+    const setLoanTerm = (value) => updateVehicleClass(activeClass.id, { loanTerm: value });
+    const setInterestRate = (value) => updateVehicleClass(activeClass.id, { interestRate: value });
+    const setPurchasePrice = (value) => updateVehicleClass(activeClass.id, { purchasePrice: value });
+    const setNumVehicles = (value) => updateVehicleClass(activeClass.id, { numVehicles: value });
+
+    const addVehicleClass = () => {
+        const id = nextId('class', vehicleClasses);
+        setVehicleClasses([...vehicleClasses, { ...activeClass, id, name: `Class ${vehicleClasses.length + 1}` }]);
+        setActiveClassId(id);
+    };
 
-        const paymentPerVehicle = totalMonthlyPayment / numVehicles;
+    const removeVehicleClass = (id) => {
+        if (vehicleClasses.length === 1) return;
+        const remaining = vehicleClasses.filter((vehicleClass) => vehicleClass.id !== id);
+        setVehicleClasses(remaining);
+        if (activeClassId === id) setActiveClassId(remaining[0].id);
+        if (chartView === id) setChartView('fleet');
+    };
+
+    const scenarioInputs = useMemo(() => ({
+        vehicleClasses,
+        downPayment,
+        downPaymentType,
+        tradeInCredit,
+        salesTaxRate,
+        fees,
+        purchaseCurrency
+    }), [vehicleClasses, downPayment, downPaymentType, tradeInCredit, salesTaxRate, fees, purchaseCurrency]);
+
+    // Every class restated in the reporting currency; this is what gets projected.
+    const reportingInputs = useMemo(
+        () => convertFleetInputs(scenarioInputs, currencySettings),
+        [scenarioInputs, currencySettings]
+    );
+
+    const fleetData = useMemo(() => calculateFleetData(reportingInputs), [reportingInputs]);
+
+    // Drill-down: the chart, schedule and insights follow the selected view.
+    const viewedClass = fleetData.classes.find((vehicleClass) => vehicleClass.id === chartView);
+    const calculateData = viewedClass ? viewedClass.result : fleetData;
+    const viewTerm = calculateData.endOfTermMonth;
+    const viewVehicles = calculateData.numVehicles;
+    const lastMonth = calculateData.data.length - 1;
+    const viewMonthlyMiles = viewedClass
+        ? viewedClass.monthlyMiles
+        : vehicleClasses.reduce((total, vehicleClass) => total + vehicleClass.monthlyMiles * vehicleClass.numVehicles, 0)
+            / fleetData.numVehicles;
+    const underwater = useMemo(() => analyzeUnderwater(calculateData.data), [calculateData]);
+
+    // Extra payments, balloons and refinances are measured against the same
+    // fleet on plain level-payment loans.
+    const baselineFleetData = useMemo(() => calculateFleetData(withoutLoanEvents(reportingInputs)), [reportingInputs]);
+    const baselineResult = (classId) => baselineFleetData.classes.find((vehicleClass) => vehicleClass.id === classId).result;
+    const loanComparison = useMemo(() => {
+        if (!(viewedClass ? hasLoanEvents(viewedClass) : vehicleClasses.some(hasLoanEvents))) return null;
+        const baseline = viewedClass
+            ? baselineFleetData.classes.find((vehicleClass) => vehicleClass.id === viewedClass.id).result
+            : baselineFleetData;
+        return compareToBaseline(calculateData, baseline);
+    }, [calculateData, viewedClass, vehicleClasses, baselineFleetData]);
+    // Monte Carlo runs take a moment, so they happen on request rather than
+    // on every input change.
+    const viewedClassId = viewedClass ? viewedClass.id : null;
+    const currentSimulationKey = useMemo(
+        () => simulationKey(reportingInputs, viewedClassId, simulation),
+        [reportingInputs, viewedClassId, simulation]
+    );
+    const runSimulation = (settings) => setSimulationRun({
+        key: simulationKey(reportingInputs, viewedClassId, settings),
+        result: runMonteCarlo(reportingInputs, { ...settings, classId: viewedClassId })
+    });
+    const simulationResult = simulation.enabled && simulationRun && simulationRun.key === currentSimulationKey
+        ? simulationRun.result
+        : null;
 
-        // Step 3: Generate month-by-month data
-        const monthlyData = [];
-        let currentFleetValue = totalFleetValue;
-        let remainingLoanBalance = totalLoanAmount;
+    const activeResult = fleetData.classes.find((vehicleClass) => vehicleClass.id === activeClass.id).result;
+    const activeLoanComparison = hasLoanEvents(activeClass)
+        ? compareToBaseline(activeResult, baselineResult(activeClass.id))
+        : null;
 
-        // Month 0 (initial)
-        monthlyData.push({
-            month: 0,
-            vehicleValue: currentFleetValue,
-            loanBalance: remainingLoanBalance,
-            equity: 0,
-            monthlyPayment: totalMonthlyPayment
+    const resaleFits = useMemo(
+        () => (resaleData ? fitResaleCurves(resaleData.points) : { exponential: null, piecewise: null }),
+        [resaleData]
+    );
+
+    const importResaleData = (text, fileName) => {
+        const parsed = { ...parseResaleCSV(text), fileName };
+        const fits = fitResaleCurves(parsed.points);
+        const best = [fits.exponential, fits.piecewise]
+            .filter(Boolean)
+            .sort((a, b) => b.rSquared - a.rSquared)[0];
+        setResaleData(parsed);
+        if (best) updateVehicleClass(activeClass.id, { depreciationModel: 'custom', customCurve: best });
+    };
+
+    // Imported sale prices, scaled to the purchase price of whatever the chart shows.
+    const chartModel = (viewedClass || activeClass).depreciationModel;
+    const resalePoints = resaleData && chartModel === 'custom'
+        ? resaleData.points.map((point) => ({
+            month: point.ageMonths,
+            resaleValue: Math.round(calculateData.fleetValue * point.pricePercent / 100)
+        }))
+        : [];
+
+    const comparedScenarios = useMemo(() => savedScenarios.map((scenario) => {
+        const result = calculateFleetData(convertFleetInputs(scenario.inputs, currencySettings));
+        return { ...scenario, result, insights: getKeyInsights(result) };
+    }), [savedScenarios, currencySettings]);
+
+    const baselineEquity = loanComparison && loanComparison.data;
+    const chartData = useMemo(() => {
+        const merged = mergeScenarioData(calculateData.data, viewedClass ? [] : comparedScenarios)
+            .map((row) => (baselineEquity ? { ...row, baselineEquity: baselineEquity[row.month]?.baselineEquity } : row));
+        if (!simulationResult) return merged;
+        return merged.map((row) => {
+            const simulated = simulationResult.data[row.month];
+            return simulated ? {
+                ...row,
+                valueBand: [simulated.vehicleValue.p10, simulated.vehicleValue.p90],
+                valueMedian: simulated.vehicleValue.p50,
+                equityBand: [simulated.equity.p10, simulated.equity.p90],
+                equityMedian: simulated.equity.p50
+            } : row;
         });
+    }, [calculateData, viewedClass, comparedScenarios, baselineEquity, simulationResult]);
+
+    const saveScenario = (name) => {
+        const id = nextId('scenario', savedScenarios);
+        setSavedScenarios([...savedScenarios, { id, name, inputs: scenarioInputs }]);
+    };
+
+    const applyScenario = (inputs) => {
+        setVehicleClasses(inputs.vehicleClasses);
+        setActiveClassId(inputs.vehicleClasses[0].id);
+        setChartView('fleet');
+        setDownPayment(inputs.downPayment);
+        setDownPaymentType(inputs.downPaymentType);
+        setTradeInCredit(inputs.tradeInCredit);
+        setSalesTaxRate(inputs.salesTaxRate);
+        setFees(inputs.fees);
+        setPurchaseCurrency(inputs.purchaseCurrency);
+    };
+
+    const loadScenario = (id) => {
+        const scenario = savedScenarios.find((saved) => saved.id === id);
+        if (scenario) applyScenario(scenario.inputs);
+    };
 
-        // Calculate each month
-        for (let month = 1; month <= loanTerm + 12; month++) {
-            // Depreciation
-            if (depreciationModel === 'monthly') {
-                currentFleetValue = currentFleetValue * (1 - depreciationRate / 100);
-            } else if (depreciationModel === 'annual') {
-                const years = month / 12;
-                currentFleetValue = totalFleetValue * Math.pow(1 - depreciationRate / 100, years);
-            } else if (depreciationModel === 'heavyuse') {
-                const baseRate = depreciationRate / 100;
-                let monthlyDepRate = baseRate;
-                if (month <= 6) monthlyDepRate = baseRate * 2;
-                else if (month <= 12) monthlyDepRate = baseRate * 1.5;
-                else if (month <= 24) monthlyDepRate = baseRate * 1.2;
-                currentFleetValue = currentFleetValue * (1 - monthlyDepRate);
-            }
-
-            // Loan payment
-            if (month <= loanTerm && remainingLoanBalance > 0) {
-                const interestPayment = remainingLoanBalance * monthlyRate;
-                const principalPayment = totalMonthlyPayment - interestPayment;
-                remainingLoanBalance = Math.max(0, remainingLoanBalance - principalPayment);
-            }
-
-            const equity = currentFleetValue - remainingLoanBalance;
-
-            monthlyData.push({
-                month: month,
-                vehicleValue: Math.round(currentFleetValue),
-                loanBalance: Math.round(remainingLoanBalance),
-                equity: Math.round(equity),
-                monthlyPayment: totalMonthlyPayment
-            });
+    // Keep the URL and last-session copy in step with every change, and pick
+    // up links pasted into the address bar of an open tab.
+    useEffect(() => {
+        const hash = `#${encodeScenarioParams(scenarioInputs)}`;
+        if (window.location.hash !== hash) {
+            window.history.replaceState(null, '', hash);
         }
+        storeCurrentScenario(scenarioInputs);
+    }, [scenarioInputs]);
+
+    useEffect(() => {
+        storeSavedScenarios(savedScenarios);
+    }, [savedScenarios]);
+
+    useEffect(() => {
+        storeSliderRanges(ranges);
+    }, [ranges]);
+
+    useEffect(() => {
+        storeCurrencySettings(currencySettings);
+    }, [currencySettings]);
 
-        return {
-            data: monthlyData,
-            monthlyPayment: totalMonthlyPayment,
-            paymentPerVehicle: paymentPerVehicle,
-            totalLoan: totalLoanAmount,
-            fleetValue: totalFleetValue
+    useEffect(() => {
+        const handleHashChange = () => {
+            const scenario = decodeScenarioParams(window.location.hash);
+            if (scenario) applyScenario(scenario);
         };
-    }, [depreciationRate, loanTerm, interestRate, loanValue, depreciationModel, numVehicles]);
-
-    const formatCurrency = (value) => {
-        if (isNaN(value)) return '$NaN';
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(value);
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    const removeScenario = (id) => {
+        setSavedScenarios(savedScenarios.filter((saved) => saved.id !== id));
     };
 
+    const formatCurrency = createCurrencyFormatter(currencySettings);
+    const formatCompactCurrency = createCompactFormatter(currencySettings);
+    const moneySymbol = currencySymbol(currencySettings);
+    // The active class's own prices may be in another currency.
+    const activeCurrency = { ...currencySettings, currency: activeClass.currency };
+    const formatClassCurrency = createCurrencyFormatter(activeCurrency);
+    // Trade-in, fees and a dollar down payment are entered in their own currency too.
+    const purchaseCostCurrency = { ...currencySettings, currency: purchaseCurrency };
+    const formatPurchaseCost = createCurrencyFormatter(purchaseCostCurrency);
+    const formatCompactPurchaseCost = createCompactFormatter(purchaseCostCurrency);
+    const purchaseCostPrice = convertAmount(
+        purchasePrice, activeCurrency.currency, purchaseCurrency, currencySettings.exchangeRates
+    );
+
+    const buildReport = () => buildReportHTML({
+        title: `Vehicle Depreciation & Loan Analysis: ${viewedClass ? viewedClass.name : 'Whole fleet'}`,
+        inputs: describeReportInputs(viewedClass ? { ...reportingInputs, vehicleClasses: [viewedClass] } : reportingInputs, formatCurrency),
+        insights: describeReportInsights({
+            insights: getKeyInsights(calculateData),
+            underwater,
+            numVehicles: viewVehicles,
+            formatCurrency,
+            simulation: simulationResult
+        }),
+        chartSvg: serializeSvg(chartRef.current && chartRef.current.querySelector('svg.recharts-surface')),
+        legend: simulationResult ? [...CHART_LEGEND, ...SIMULATION_LEGEND] : CHART_LEGEND,
+        rows: calculateData.data,
+        formatCurrency,
+        locale: currencySettings.locale
+    });
+
     const formatTooltip = (value, name) => {
-        if (name === 'Vehicle Value') return [formatCurrency(value), 'Vehicle Value'];
-        if (name === 'Loan Balance') return [formatCurrency(value), 'Loan Balance'];
-        if (name === 'Equity') return [formatCurrency(value), 'Equity'];
+        if (typeof value === 'number') return [formatCurrency(value), name];
+        if (Array.isArray(value)) return [`${formatCurrency(value[0])} – ${formatCurrency(value[1])}`, name];
         return [value, name];
     };
 
@@ -115,10 +334,7 @@ const VehicleDepreciationApp = () => {
                     <div className="inline-flex rounded-lg border border-gray-300 bg-gray-100 p-1">
                         <button
                             type="button"
-                            onClick={() => {
-                                setDepreciationModel('monthly');
-                                setDepreciationRate(1.0);
-                            }}
+                            onClick={() => setDepreciationModel('monthly')}
                             className={`px-3 py-2 text-sm font-medium rounded-md transition-all ${
                                 depreciationModel === 'monthly'
                                     ? 'bg-white text-gray-900 shadow-sm'
@@ -129,10 +345,7 @@ const VehicleDepreciationApp = () => {
                         </button>
                         <button
                             type="button"
-                            onClick={() => {
-                                setDepreciationModel('annual');
-                                setDepreciationRate(15.0);
-                            }}
+                            onClick={() => setDepreciationModel('annual')}
                             className={`px-3 py-2 text-sm font-medium rounded-md transition-all ${
                                 depreciationModel === 'annual'
                                     ? 'bg-white text-gray-900 shadow-sm'
@@ -143,10 +356,7 @@ const VehicleDepreciationApp = () => {
                         </button>
                         <button
                             type="button"
-                            onClick={() => {
-                                setDepreciationModel('heavyuse');
-                                setDepreciationRate(1.0);
-                            }}
+                            onClick={() => setDepreciationModel('heavyuse')}
                             className={`px-3 py-2 text-sm font-medium rounded-md transition-all ${
                                 depreciationModel === 'heavyuse'
                                     ? 'bg-white text-gray-900 shadow-sm'
@@ -155,131 +365,259 @@ const VehicleDepreciationApp = () => {
                         >
                             Heavy Use
                         </button>
+                        <button
+                            type="button"
+                            onClick={() => setDepreciationModel('mileage')}
+                            className={`px-3 py-2 text-sm font-medium rounded-md transition-all ${
+                                depreciationModel === 'mileage'
+                                    ? 'bg-white text-gray-900 shadow-sm'
+                                    : 'text-gray-500 hover:text-gray-700'
+                            }`}
+                        >
+                            Mileage
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setDepreciationModel('custom')}
+                            className={`px-3 py-2 text-sm font-medium rounded-md transition-all ${
+                                depreciationModel === 'custom'
+                                    ? 'bg-white text-gray-900 shadow-sm'
+                                    : 'text-gray-500 hover:text-gray-700'
+                            }`}
+                        >
+                            Fitted
+                        </button>
                     </div>
                     {depreciationModel === 'heavyuse' && (
-                        <div className="text-xs text-gray-500 mt-1"  style={{display: 'inline-block', verticalAlignt: 'top'}}>
-                            <div>First 6 months: {(depreciationRate * 2).toFixed(1)}%</div>
-                            <div>Months 7-12: {(depreciationRate * 1.5).toFixed(1)}%</div>
-                            <div>Months 13-24: {(depreciationRate * 1.2).toFixed(1)}%</div>
-                            <div>After 24 months: {depreciationRate.toFixed(1)}%</div>
-                        </div>
+                        <HeavyUseTierEditor
+                            tiers={activeClass.heavyUseTiers || DEFAULT_HEAVY_USE_TIERS}
+                            rate={depreciationRate}
+                            onChange={(tiers) => updateVehicleClass(activeClass.id, { heavyUseTiers: tiers })}
+                        />
+                    )}
+                    {depreciationModel === 'mileage' && (
+                        <MileageModelControls
+                            monthlyMiles={activeClass.monthlyMiles ?? DEFAULT_MILEAGE_OPTIONS.monthlyMiles}
+                            perMilePenalty={activeClass.perMilePenalty ?? DEFAULT_MILEAGE_OPTIONS.perMilePenalty}
+                            salvageFloor={activeClass.salvageFloor ?? DEFAULT_MILEAGE_OPTIONS.salvageFloor}
+                            onChange={(changes) => updateVehicleClass(activeClass.id, changes)}
+                            formatCurrency={formatClassCurrency}
+                            locale={currencySettings.locale}
+                            ranges={ranges}
+                            onRangeChange={setRange}
+                        />
+                    )}
+                    {depreciationModel === 'custom' && (
+                        <ResaleCurveImport
+                            resaleData={resaleData}
+                            fits={resaleFits}
+                            selectedType={activeClass.customCurve?.type}
+                            onImport={importResaleData}
+                            onSelect={(type) => updateVehicleClass(activeClass.id, { customCurve: resaleFits[type] })}
+                        />
                     )}
                 </div>
 
+                {/* Currency & Locale */}
+                <div className="mb-4">
+                    <CurrencySettings settings={currencySettings} onChange={setCurrencySettings} />
+                </div>
+
+                {/* Fleet Editor */}
+                <FleetEditor
+                    vehicleClasses={vehicleClasses}
+                    activeClassId={activeClass.id}
+                    viewedClassId={viewedClassId}
+                    classResults={fleetData.classes}
+                    onChange={updateVehicleClass}
+                    onAdd={addVehicleClass}
+                    onRemove={removeVehicleClass}
+                    onEdit={setActiveClassId}
+                    onView={(id) => setChartView(chartView === id ? 'fleet' : id)}
+                    reportingCurrency={currencySettings.currency}
+                    formatCurrency={formatCurrency}
+                />
+
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
 
                     {/* Number of Vehicles */}
-                    <div className="space-y-2">
-                        <label className="block text-sm font-semibold text-gray-700">
-                            Number of Vehicles: {numVehicles}
-                        </label>
-                        <input
-                            type="range"
-                            min="1"
-                            max="200"
-                            step="1"
-                            value={numVehicles}
-                            onChange={(e) => setNumVehicles(Number(e.target.value))}
-                            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
-                        />
-                        <div className="flex justify-between text-xs text-gray-500">
-                            <span>1</span>
-                            <span>200</span>
-                        </div>
-                    </div>
+                    <RangeSliderField
+                        label={`Number of Vehicles: ${numVehicles}`}
+                        value={numVehicles}
+                        onChange={setNumVehicles}
+                        rangeKey="numVehicles"
+                        range={ranges.numVehicles}
+                        defaultRange={DEFAULT_RANGES.numVehicles}
+                        onRangeChange={(range) => setRange('numVehicles', range)}
+                    />
 
-                    {/* Loan Value */}
-                    <div className="space-y-2">
-                        <label className="block text-sm font-semibold text-gray-700">
-                            Loan Value (per vehicle): {formatCurrency(loanValue)}
-                        </label>
-                        <input
-                            type="range"
-                            min="1000"
-                            max="100000"
-                            step="1000"
-                            value={loanValue}
-                            onChange={(e) => setLoanValue(Number(e.target.value))}
-                            className="w-full h-2 bg-blue-200 rounded-lg appearance-none cursor-pointer slider"
-                        />
-                        <div className="flex justify-between text-xs text-gray-500">
-                            <span>$1k</span>
-                            <span>$100k</span>
-                        </div>
-                    </div>
+                    {/* Purchase Price */}
+                    <RangeSliderField
+                        label={`Purchase Price (per vehicle): ${formatClassCurrency(purchasePrice)}`}
+                        value={purchasePrice}
+                        onChange={setPurchasePrice}
+                        rangeKey="purchasePrice"
+                        range={ranges.purchasePrice}
+                        defaultRange={DEFAULT_RANGES.purchasePrice}
+                        onRangeChange={(range) => setRange('purchasePrice', range)}
+                        formatBound={createCompactFormatter(activeCurrency)}
+                        sliderClassName="bg-blue-200"
+                    />
 
                     {/* Depreciation Rate */}
-                    <div className="space-y-2">
-                        <label className="block text-sm font-semibold text-gray-700">
-                            Depreciation Rate: {depreciationRate.toFixed(1)}% per {depreciationModel === 'annual' ? 'year' : 'month'}
-                        </label>
-                        <input
-                            type="range"
-                            min={depreciationModel === 'annual' ? '5' : '0.5'}
-                            max={depreciationModel === 'annual' ? '25' : '2.0'}
-                            step={depreciationModel === 'annual' ? '1' : '0.1'}
-                            value={depreciationRate}
-                            onChange={(e) => setDepreciationRate(Number(e.target.value))}
-                            className="w-full h-2 bg-red-200 rounded-lg appearance-none cursor-pointer slider"
-                        />
-                        <div className="flex justify-between text-xs text-gray-500">
-                            <span>{depreciationModel === 'annual' ? '5%' : '0.5%'}</span>
-                            <span>{depreciationModel === 'annual' ? '25%' : '2.0%'}</span>
-                        </div>
-                    </div>
+                    <RangeSliderField
+                        label={depreciationModel === 'custom'
+                            ? 'Depreciation Rate: from fitted curve'
+                            : `Depreciation Rate: ${depreciationRate.toFixed(1)}% per ${isAnnualRate ? 'year' : 'month'}`}
+                        disabled={depreciationModel === 'custom'}
+                        value={depreciationRate}
+                        onChange={setDepreciationRate}
+                        rangeKey={rateRangeKey}
+                        range={ranges[rateRangeKey]}
+                        defaultRange={DEFAULT_RANGES[rateRangeKey]}
+                        onRangeChange={(range) => setRange(rateRangeKey, range)}
+                        formatBound={(bound) => `${isAnnualRate ? bound : bound.toFixed(1)}%`}
+                        sliderClassName="bg-red-200"
+                    />
 
                     {/* Loan Term */}
-                    <div className="space-y-2">
-                        <label className="block text-sm font-semibold text-gray-700">
-                            Loan Term: {Math.floor(loanTerm / 12)} years {loanTerm % 12} months
-                        </label>
-                        <input
-                            type="range"
-                            min="36"
-                            max="60"
-                            step="1"
-                            value={loanTerm}
-                            onChange={(e) => setLoanTerm(Number(e.target.value))}
-                            className="w-full h-2 bg-green-200 rounded-lg appearance-none cursor-pointer slider"
-                        />
-                        <div className="flex justify-between text-xs text-gray-500">
-                            <span>3 years</span>
-                            <span>5 years</span>
-                        </div>
-                    </div>
+                    <RangeSliderField
+                        label={`Loan Term: ${Math.floor(loanTerm / 12)} years ${loanTerm % 12} months`}
+                        value={loanTerm}
+                        onChange={setLoanTerm}
+                        rangeKey="loanTerm"
+                        range={ranges.loanTerm}
+                        defaultRange={DEFAULT_RANGES.loanTerm}
+                        onRangeChange={(range) => setRange('loanTerm', range)}
+                        formatBound={(bound) => (bound % 12 === 0 ? `${bound / 12} years` : `${bound} months`)}
+                        sliderClassName="bg-green-200"
+                    />
 
                     {/* Interest Rate */}
-                    <div className="space-y-2">
-                        <label className="block text-sm font-semibold text-gray-700">
-                            Interest Rate: {interestRate.toFixed(1)}% annual
-                        </label>
-                        <input
-                            type="range"
-                            min="5.0"
-                            max="10.0"
-                            step="0.1"
-                            value={interestRate}
-                            onChange={(e) => setInterestRate(Number(e.target.value))}
-                            className="w-full h-2 bg-purple-200 rounded-lg appearance-none cursor-pointer slider"
-                        />
-                        <div className="flex justify-between text-xs text-gray-500">
-                            <span>5.0%</span>
-                            <span>10.0%</span>
-                        </div>
-                    </div>
+                    <RangeSliderField
+                        label={`Interest Rate: ${interestRate.toFixed(1)}% annual`}
+                        value={interestRate}
+                        onChange={setInterestRate}
+                        rangeKey="interestRate"
+                        range={ranges.interestRate}
+                        defaultRange={DEFAULT_RANGES.interestRate}
+                        onRangeChange={(range) => setRange('interestRate', range)}
+                        formatBound={(bound) => `${bound.toFixed(1)}%`}
+                        sliderClassName="bg-purple-200"
+                    />
+                </div>
+
+                {/* Purchase Costs (per vehicle) */}
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mt-6 pt-6 border-t border-gray-200">
+                    <label className="md:col-span-2 lg:col-span-4 text-sm font-semibold text-gray-700">
+                        Purchase costs in
+                        <select
+                            value={purchaseCurrency}
+                            onChange={(e) => setPurchaseCurrency(e.target.value)}
+                            className="ml-2 px-2 py-1 border border-gray-300 rounded font-normal"
+                        >
+                            {CURRENCIES.map((code) => (
+                                <option key={code} value={code}>{code}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    {/* Down Payment */}
+                    <RangeSliderField
+                        key={downPaymentRangeKey}
+                        label={(
+                            <>
+                                Down Payment: {downPaymentType === 'percent' ? `${downPayment.toFixed(0)}%` : formatPurchaseCost(downPayment)}
+                                <select
+                                    value={downPaymentType}
+                                    onChange={(e) => {
+                                        const nextType = e.target.value;
+                                        // A zero price has no percentage; start again from 0%.
+                                        const percentOfPrice = purchaseCostPrice > 0
+                                            ? Math.min(100, Math.round(downPayment / purchaseCostPrice * 100))
+                                            : 0;
+                                        setDownPayment(nextType === 'percent'
+                                            ? percentOfPrice
+                                            : Math.round(purchaseCostPrice * downPayment / 100 / 500) * 500);
+                                        setDownPaymentType(nextType);
+                                    }}
+                                    className="ml-2 text-xs border border-gray-300 rounded"
+                                >
+                                    <option value="percent">%</option>
+                                    <option value="dollars">{currencySymbol(purchaseCostCurrency)}</option>
+                                </select>
+                            </>
+                        )}
+                        value={downPayment}
+                        onChange={setDownPayment}
+                        rangeKey={downPaymentRangeKey}
+                        range={ranges[downPaymentRangeKey]}
+                        defaultRange={DEFAULT_RANGES[downPaymentRangeKey]}
+                        onRangeChange={(range) => setRange(downPaymentRangeKey, range)}
+                        formatBound={downPaymentType === 'percent' ? (bound) => `${bound}%` : formatCompactPurchaseCost}
+                        sliderClassName="bg-yellow-200"
+                    />
+
+                    {/* Trade-In Credit */}
+                    <RangeSliderField
+                        label={`Trade-In Credit: ${formatPurchaseCost(tradeInCredit)}`}
+                        value={tradeInCredit}
+                        onChange={setTradeInCredit}
+                        rangeKey="tradeInCredit"
+                        range={ranges.tradeInCredit}
+                        defaultRange={DEFAULT_RANGES.tradeInCredit}
+                        onRangeChange={(range) => setRange('tradeInCredit', range)}
+                        formatBound={formatCompactPurchaseCost}
+                        sliderClassName="bg-yellow-200"
+                    />
+
+                    {/* Sales Tax */}
+                    <RangeSliderField
+                        label={`Sales Tax: ${salesTaxRate.toFixed(2)}%`}
+                        value={salesTaxRate}
+                        onChange={setSalesTaxRate}
+                        rangeKey="salesTaxRate"
+                        range={ranges.salesTaxRate}
+                        defaultRange={DEFAULT_RANGES.salesTaxRate}
+                        onRangeChange={(range) => setRange('salesTaxRate', range)}
+                        formatBound={(bound) => `${bound}%`}
+                        sliderClassName="bg-yellow-200"
+                    />
+
+                    {/* Capitalized Fees */}
+                    <RangeSliderField
+                        label={`Fees (financed): ${formatPurchaseCost(fees)}`}
+                        value={fees}
+                        onChange={setFees}
+                        rangeKey="fees"
+                        range={ranges.fees}
+                        defaultRange={DEFAULT_RANGES.fees}
+                        onRangeChange={(range) => setRange('fees', range)}
+                        formatBound={formatCompactPurchaseCost}
+                        sliderClassName="bg-yellow-200"
+                    />
                 </div>
 
                 {/* Payment Info */}
                 <div className="mt-6 p-4 bg-gray-100 rounded-lg">
                     <div className="text-center">
             <span className="text-lg font-semibold text-gray-800">
-              Monthly Payment (Total): {formatCurrency(calculateData.monthlyPayment)}
+              Monthly Payment (Total): {formatCurrency(fleetData.monthlyPayment)}
             </span>
-                        {numVehicles > 1 && (
+                        {fleetData.numVehicles > 1 && (
                             <div className="text-sm text-gray-600 mt-1">
-                                {formatCurrency(calculateData.paymentPerVehicle)} per vehicle × {numVehicles} vehicles
+                                {vehicleClasses.length === 1
+                                    ? `${formatCurrency(fleetData.paymentPerVehicle)} per vehicle × ${fleetData.numVehicles} vehicles`
+                                    : `${formatCurrency(fleetData.paymentPerVehicle)} average per vehicle × ${fleetData.numVehicles} vehicles in ${vehicleClasses.length} classes`}
                             </div>
                         )}
+                        <div className="text-sm text-gray-600 mt-1">
+                            Amount Financed: {formatCurrency(fleetData.totalLoan)}
+                            {' · '}
+                            Cash at Signing: {formatCurrency(fleetData.downPayment)}
+                            {' · '}
+                            Starting Equity: {formatCurrency(fleetData.data[0].equity)}
+                        </div>
                     </div>
                 </div>
 
@@ -298,15 +636,36 @@ const VehicleDepreciationApp = () => {
 
             {/* Chart */}
             <div className="bg-white p-6 rounded-lg shadow-md">
-                <h2 className="text-xl font-semibold text-gray-800 mb-4">
-                    {numVehicles === 1 ? 'Vehicle Value, Loan Balance & Equity Over Time' : `Fleet Value, Loan Balance & Equity Over Time (${numVehicles} vehicles)`}
-                </h2>
-                <div className="h-96">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                    <h2 className="text-xl font-semibold text-gray-800">
+                        {viewedClass && `${viewedClass.name}: `}
+                        {viewVehicles === 1 ? 'Vehicle Value, Loan Balance & Equity Over Time' : `Fleet Value, Loan Balance & Equity Over Time (${viewVehicles} vehicles)`}
+                    </h2>
+                    <div className="flex flex-wrap items-center gap-4">
+                        <ReportActions buildReport={buildReport} />
+                        {vehicleClasses.length > 1 && (
+                            <select
+                                value={viewedClass ? viewedClass.id : 'fleet'}
+                                onChange={(e) => setChartView(e.target.value)}
+                                className="px-3 py-2 text-sm border border-gray-300 rounded-md"
+                            >
+                                <option value="fleet">Whole fleet</option>
+                                {vehicleClasses.map((vehicleClass) => (
+                                    <option key={vehicleClass.id} value={vehicleClass.id}>{vehicleClass.name}</option>
+                                ))}
+                            </select>
+                        )}
+                    </div>
+                </div>
+                <div className="h-96" ref={chartRef}>
                     <ResponsiveContainer width="100%" height="100%">
-                        <LineChart data={calculateData.data}>
+                        <ComposedChart data={chartData}>
                             <CartesianGrid strokeDasharray="3 3" stroke="#e0e4e7" />
                             <XAxis
                                 dataKey="month"
+                                type="number"
+                                domain={['dataMin', 'dataMax']}
+                                allowDecimals={false}
                                 stroke="#6b7280"
                                 tick={{ fontSize: 12 }}
                                 label={{ value: 'Months', position: 'insideBottom', offset: -5 }}
@@ -314,8 +673,8 @@ const VehicleDepreciationApp = () => {
                             <YAxis
                                 stroke="#6b7280"
                                 tick={{ fontSize: 12 }}
-                                tickFormatter={(value) => `$${(value / 1000).toFixed(0)}k`}
-                                label={{ value: 'Amount ($)', angle: -90, position: 'insideLeft' }}
+                                tickFormatter={formatCompactCurrency}
+                                label={{ value: `Amount (${moneySymbol})`, angle: -90, position: 'insideLeft' }}
                             />
                             <Tooltip
                                 formatter={formatTooltip}
@@ -332,6 +691,75 @@ const VehicleDepreciationApp = () => {
                                 wrapperStyle={{ paddingTop: '20px' }}
                             />
                             <ReferenceLine y={0} stroke="#9ca3af" strokeDasharray="2 2" />
+                            {underwater.periods.map((period) => (
+                                <ReferenceArea
+                                    key={period.start}
+                                    x1={Math.max(0, period.start - 0.5)}
+                                    x2={Math.min(lastMonth, period.end + 0.5)}
+                                    fill="#fecaca"
+                                    fillOpacity={0.4}
+                                    label={{ value: 'Underwater', position: 'insideTop', fill: '#b91c1c', fontSize: 12 }}
+                                />
+                            ))}
+                            {underwater.breakEvenMonth !== null && (
+                                <ReferenceLine
+                                    x={underwater.breakEvenMonth}
+                                    stroke="#10b981"
+                                    strokeDasharray="4 4"
+                                    label={{ value: `Break-even (month ${underwater.breakEvenMonth})`, position: 'top', fill: '#047857', fontSize: 12 }}
+                                />
+                            )}
+                            {underwater.worstMonth !== null && (
+                                <ReferenceDot
+                                    x={underwater.worstMonth}
+                                    y={underwater.worstEquity}
+                                    r={5}
+                                    fill="#b91c1c"
+                                    stroke="none"
+                                />
+                            )}
+                            {simulationResult && [
+                                <Area
+                                    key="valueBand"
+                                    type="monotone"
+                                    dataKey="valueBand"
+                                    stroke="none"
+                                    fill="#ef4444"
+                                    fillOpacity={0.15}
+                                    name="Vehicle Value P10–P90"
+                                    activeDot={false}
+                                />,
+                                <Area
+                                    key="equityBand"
+                                    type="monotone"
+                                    dataKey="equityBand"
+                                    stroke="none"
+                                    fill="#10b981"
+                                    fillOpacity={0.15}
+                                    name="Equity P10–P90"
+                                    activeDot={false}
+                                />,
+                                <Line
+                                    key="valueMedian"
+                                    type="monotone"
+                                    dataKey="valueMedian"
+                                    stroke="#ef4444"
+                                    strokeWidth={2}
+                                    strokeDasharray="2 3"
+                                    name="Vehicle Value P50"
+                                    dot={false}
+                                />,
+                                <Line
+                                    key="equityMedian"
+                                    type="monotone"
+                                    dataKey="equityMedian"
+                                    stroke="#10b981"
+                                    strokeWidth={2}
+                                    strokeDasharray="2 3"
+                                    name="Equity P50"
+                                    dot={false}
+                                />
+                            ]}
                             <Line
                                 type="monotone"
                                 dataKey="vehicleValue"
@@ -356,11 +784,104 @@ const VehicleDepreciationApp = () => {
                                 name="Equity"
                                 dot={false}
                             />
-                        </LineChart>
+                            {loanComparison && (
+                                <Line
+                                    type="monotone"
+                                    dataKey="baselineEquity"
+                                    stroke="#10b981"
+                                    strokeWidth={2}
+                                    strokeDasharray="6 3"
+                                    strokeOpacity={0.6}
+                                    name="Equity (no extra payments / refinance)"
+                                    dot={false}
+                                />
+                            )}
+                            {resalePoints.length > 0 && (
+                                <Scatter
+                                    data={resalePoints}
+                                    dataKey="resaleValue"
+                                    name="Resale Data"
+                                    fill="#f59e0b"
+                                />
+                            )}
+                            {!viewedClass && comparedScenarios.map((scenario, index) => [
+                                { key: 'vehicleValue', label: 'Vehicle Value', stroke: '#ef4444' },
+                                { key: 'loanBalance', label: 'Loan Balance', stroke: '#3b82f6' },
+                                { key: 'equity', label: 'Equity', stroke: '#10b981' }
+                            ].map((series) => (
+                                <Line
+                                    key={seriesKey(scenario.id, series.key)}
+                                    type="monotone"
+                                    dataKey={seriesKey(scenario.id, series.key)}
+                                    stroke={series.stroke}
+                                    strokeWidth={2}
+                                    strokeOpacity={0.7}
+                                    strokeDasharray={SCENARIO_DASHES[index % SCENARIO_DASHES.length]}
+                                    name={`${scenario.name}: ${series.label}`}
+                                    dot={false}
+                                    connectNulls={false}
+                                />
+                            )))}
+                        </ComposedChart>
                     </ResponsiveContainer>
                 </div>
+                <MonteCarloControls
+                    settings={simulation}
+                    result={simulationResult}
+                    isStale={simulation.enabled && Boolean(simulationRun) && !simulationResult}
+                    formatCurrency={formatCurrency}
+                    onChange={setSimulation}
+                    onRun={runSimulation}
+                />
             </div>
 
+            {/* Extra Payments, Balloon & Refinance */}
+            <LoanEventsEditor
+                vehicleClass={activeClass}
+                comparison={activeLoanComparison}
+                formatCurrency={formatCurrency}
+                onChange={(changes) => updateVehicleClass(activeClass.id, changes)}
+            />
+
+            {/* Scenario Comparison */}
+            <ScenarioComparison
+                currentInputs={scenarioInputs}
+                currentInsights={getKeyInsights(fleetData)}
+                scenarios={comparedScenarios}
+                onSave={saveScenario}
+                onLoad={loadScenario}
+                onRemove={removeScenario}
+                formatCurrency={formatCurrency}
+            />
+
+            {/* Amortization Schedule */}
+            <ScheduleTable rows={calculateData.data} formatCurrency={formatCurrency} />
+
+            {/* Fleet Replacement Simulation */}
+            <ReplacementSimulation
+                fleetInputs={reportingInputs}
+                formatCurrency={formatCurrency}
+                formatCompactCurrency={formatCompactCurrency}
+                locale={currencySettings.locale}
+            />
+
+            {/* Sensitivity Analysis */}
+            <SensitivityAnalysis
+                fleetInputs={reportingInputs}
+                formatCurrency={formatCurrency}
+                formatCompactCurrency={formatCompactCurrency}
+            />
+
+            {/* Lease vs. Buy vs. Rent */}
+            <LeaseBuyRentComparison
+                purchase={calculateData}
+                monthlyMiles={viewMonthlyMiles}
+                quoteCurrency={purchaseCurrency}
+                currencySettings={currencySettings}
+                formatCurrency={formatCurrency}
+                formatCompactCurrency={formatCompactCurrency}
+            />
+
             {/* Key Insights */}
             <div className="mt-8 bg-white p-6 rounded-lg shadow-md">
                 <h3 className="text-lg font-semibold text-gray-800 mb-4">Key Insights</h3>
@@ -370,33 +891,71 @@ const VehicleDepreciationApp = () => {
                             {formatCurrency(calculateData.data[12]?.vehicleValue || 0)}
                         </div>
                         <div
-                            className="text-sm text-gray-600">{numVehicles === 1 ? 'Vehicle Value After 1 Year' : 'Fleet Value After 1 Year'}</div>
-                        {numVehicles > 1 && (
+                            className="text-sm text-gray-600">{viewVehicles === 1 ? 'Vehicle Value After 1 Year' : 'Fleet Value After 1 Year'}</div>
+                        {viewVehicles > 1 && (
                             <div className="text-xs text-gray-500 mt-1">
-                                {formatCurrency((calculateData.data[12]?.vehicleValue || 0) / numVehicles)} per vehicle
+                                {formatCurrency((calculateData.data[12]?.vehicleValue || 0) / viewVehicles)} per vehicle
                             </div>
                         )}
                     </div>
                     <div className="text-center p-4 bg-blue-50 rounded-lg">
                         <div className="text-2xl font-bold text-blue-600">
-                            {formatCurrency(calculateData.data[loanTerm]?.loanBalance || 0)}
+                            {formatCurrency(calculateData.data[viewTerm]?.loanBalance || 0)}
                         </div>
                         <div className="text-sm text-gray-600">Loan Balance at End of Term</div>
-                        {numVehicles > 1 && (
+                        {viewVehicles > 1 && (
                             <div className="text-xs text-gray-500 mt-1">
-                                {formatCurrency((calculateData.data[loanTerm]?.loanBalance || 0) / numVehicles)} per
+                                {formatCurrency((calculateData.data[viewTerm]?.loanBalance || 0) / viewVehicles)} per
                                 vehicle
                             </div>
                         )}
                     </div>
                     <div className="text-center p-4 bg-green-50 rounded-lg">
                         <div className="text-2xl font-bold text-green-600">
-                            {formatCurrency(calculateData.data[loanTerm]?.equity || 0)}
+                            {formatCurrency(calculateData.data[viewTerm]?.equity || 0)}
                         </div>
                         <div className="text-sm text-gray-600">Final Equity Position</div>
-                        {numVehicles > 1 && (
+                        {viewVehicles > 1 && (
+                            <div className="text-xs text-gray-500 mt-1">
+                                {formatCurrency((calculateData.data[viewTerm]?.equity || 0) / viewVehicles)} per vehicle
+                            </div>
+                        )}
+                    </div>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 mb-4">
+                    <div className="text-center p-4 bg-red-50 rounded-lg">
+                        <div className="text-2xl font-bold text-red-600">
+                            {underwater.monthsUnderwater === 0 ? 'Never' : `${underwater.monthsUnderwater} months`}
+                        </div>
+                        <div className="text-sm text-gray-600">Time Underwater</div>
+                        {underwater.periods.length > 0 && (
+                            <div className="text-xs text-gray-500 mt-1">
+                                {underwater.periods.map((period) => (
+                                    period.start === period.end ? `month ${period.start}` : `months ${period.start}-${period.end}`
+                                )).join(', ')}
+                            </div>
+                        )}
+                    </div>
+                    <div className="text-center p-4 bg-green-50 rounded-lg">
+                        <div className="text-2xl font-bold text-green-600">
+                            {underwater.breakEvenMonth !== null
+                                ? `Month ${underwater.breakEvenMonth}`
+                                : underwater.monthsUnderwater === 0 ? 'From day one' : 'Not reached'}
+                        </div>
+                        <div className="text-sm text-gray-600">Equity Turns Positive</div>
+                        {underwater.underwaterAtEnd && (
+                            <div className="text-xs text-gray-500 mt-1">Still underwater at month {lastMonth}</div>
+                        )}
+                    </div>
+                    <div className="text-center p-4 bg-red-50 rounded-lg">
+                        <div className="text-2xl font-bold text-red-600">
+                            {underwater.worstMonth !== null ? formatCurrency(underwater.worstEquity) : formatCurrency(0)}
+                        </div>
+                        <div className="text-sm text-gray-600">Worst Negative Equity</div>
+                        {underwater.worstMonth !== null && (
                             <div className="text-xs text-gray-500 mt-1">
-                                {formatCurrency((calculateData.data[loanTerm]?.equity || 0) / numVehicles)} per vehicle
+                                at month {underwater.worstMonth}
+                                {viewVehicles > 1 && ` · ${formatCurrency(underwater.worstEquity / viewVehicles)} per vehicle`}
                             </div>
                         )}
                     </div>
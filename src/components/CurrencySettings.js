@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { CURRENCIES, LOCALE_OPTIONS } from '../lib/currency';
+
+const optionKey = ({ locale, currency }) => `${locale}|${currency}`;
+
+const CurrencySettings = ({ settings, onChange }) => {
+    const [showRates, setShowRates] = useState(false);
+
+    return (
+        <div className="inline-flex flex-wrap items-center gap-2 text-sm">
+            <label className="font-semibold text-gray-700">
+                Currency:
+                <select
+                    value={optionKey(settings)}
+                    onChange={(e) => {
+                        const option = LOCALE_OPTIONS.find((candidate) => optionKey(candidate) === e.target.value);
+                        onChange({ ...settings, locale: option.locale, currency: option.currency });
+                    }}
+                    className="ml-2 px-2 py-1 border border-gray-300 rounded-md font-normal"
+                >
+                    {LOCALE_OPTIONS.map((option) => (
+                        <option key={optionKey(option)} value={optionKey(option)}>{option.label}</option>
+                    ))}
+                </select>
+            </label>
+            <button
+                type="button"
+                onClick={() => setShowRates(!showRates)}
+                className="text-blue-600 hover:underline"
+            >
+                {showRates ? 'Hide exchange rates' : 'Exchange rates'}
+            </button>
+            {showRates && (
+                <div className="w-full flex flex-wrap items-center gap-3 text-xs text-gray-600">
+                    <span>1 USD =</span>
+                    {CURRENCIES.filter((code) => code !== 'USD').map((code) => (
+                        <label key={code} className="inline-flex items-center gap-1">
+                            <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={settings.exchangeRates[code]}
+                                onChange={(e) => {
+                                    const rate = Number(e.target.value);
+                                    if (e.target.value === '' || !(rate > 0)) return;
+                                    onChange({ ...settings, exchangeRates: { ...settings.exchangeRates, [code]: rate } });
+                                }}
+                                className="w-20 px-1 py-0.5 border border-gray-300 rounded"
+                            />
+                            {code}
+                        </label>
+                    ))}
+                    <span>Fixed rates, used to report classes priced in another currency.</span>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CurrencySettings;
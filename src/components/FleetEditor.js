@@ -0,0 +1,162 @@
+import React from 'react';
+import NumberInput from './NumberInput';
+import { DEPRECIATION_MODELS, DEPRECIATION_MODEL_LABELS } from '../lib/depreciation';
+import { CURRENCIES } from '../lib/currency';
+import { CLASS_FIELDS } from '../lib/scenarioState';
+
+// Limits come from CLASS_FIELDS so nothing typed here is clamped on reload.
+const NUMBER_FIELDS = [
+    { key: 'numVehicles', label: 'Count', step: 1, width: 'w-16' },
+    { key: 'purchasePrice', label: 'Price', step: 1000, width: 'w-28' },
+    { key: 'depreciationRate', label: 'Dep. Rate %', step: 0.1, width: 'w-20' },
+    { key: 'loanTerm', label: 'Term (mo)', step: 1, width: 'w-16' },
+    { key: 'interestRate', label: 'APR %', step: 0.1, width: 'w-20' },
+    { key: 'startMonth', label: 'Start (mo)', step: 1, width: 'w-16' },
+    { key: 'monthlyMiles', label: 'Miles/mo', step: 100, width: 'w-20' }
+].map((field) => {
+    const { min, max, integer = false } = CLASS_FIELDS.find((classField) => classField.key === field.key);
+    return { ...field, min, max, integer };
+});
+
+const FleetEditor = ({
+    vehicleClasses,
+    activeClassId,
+    viewedClassId,
+    classResults,
+    onChange,
+    onAdd,
+    onRemove,
+    onEdit,
+    onView,
+    reportingCurrency,
+    formatCurrency
+}) => (
+    <div className="mb-6 pb-6 border-b border-gray-200">
+        <div className="flex items-center justify-between mb-2">
+            <h2 className="text-sm font-semibold text-gray-700">Fleet Vehicle Classes</h2>
+            <button
+                type="button"
+                onClick={onAdd}
+                className="px-3 py-1 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+            >
+                + Add Class
+            </button>
+        </div>
+        <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+                <thead>
+                    <tr className="text-left text-xs text-gray-500">
+                        <th className="px-2 py-1 font-medium">Name</th>
+                        {NUMBER_FIELDS.slice(0, 2).map((field) => (
+                            <th key={field.key} className="px-2 py-1 font-medium">{field.label}</th>
+                        ))}
+                        <th className="px-2 py-1 font-medium">Currency</th>
+                        <th className="px-2 py-1 font-medium">Model</th>
+                        {NUMBER_FIELDS.slice(2).map((field) => (
+                            <th key={field.key} className="px-2 py-1 font-medium">{field.label}</th>
+                        ))}
+                        <th className="px-2 py-1 font-medium text-right">Payment</th>
+                        <th className="px-2 py-1" />
+                    </tr>
+                </thead>
+                <tbody>
+                    {vehicleClasses.map((vehicleClass) => {
+                        const result = classResults.find((classResult) => classResult.id === vehicleClass.id)?.result;
+                        const renderNumber = (field) => (
+                            <td key={field.key} className="px-2 py-1">
+                                <NumberInput
+                                    min={field.min}
+                                    max={field.max}
+                                    integer={field.integer}
+                                    step={field.step}
+                                    value={vehicleClass[field.key]}
+                                    onChange={(value) => onChange(vehicleClass.id, { [field.key]: value })}
+                                    className={`${field.width} px-2 py-1 border border-gray-300 rounded`}
+                                />
+                            </td>
+                        );
+
+                        return (
+                            <tr
+                                key={vehicleClass.id}
+                                className={vehicleClass.id === activeClassId ? 'bg-blue-50' : ''}
+                            >
+                                <td className="px-2 py-1">
+                                    <input
+                                        type="text"
+                                        value={vehicleClass.name}
+                                        onChange={(e) => onChange(vehicleClass.id, { name: e.target.value })}
+                                        className="w-36 px-2 py-1 border border-gray-300 rounded"
+                                    />
+                                </td>
+                                {NUMBER_FIELDS.slice(0, 2).map(renderNumber)}
+                                <td className="px-2 py-1">
+                                    <select
+                                        value={vehicleClass.currency}
+                                        onChange={(e) => onChange(vehicleClass.id, { currency: e.target.value })}
+                                        className="px-2 py-1 border border-gray-300 rounded"
+                                    >
+                                        {CURRENCIES.map((code) => (
+                                            <option key={code} value={code}>{code}</option>
+                                        ))}
+                                    </select>
+                                </td>
+                                <td className="px-2 py-1">
+                                    <select
+                                        value={vehicleClass.depreciationModel}
+                                        onChange={(e) => onChange(vehicleClass.id, { depreciationModel: e.target.value })}
+                                        className="px-2 py-1 border border-gray-300 rounded"
+                                    >
+                                        {DEPRECIATION_MODELS.map((model) => (
+                                            <option key={model} value={model}>{DEPRECIATION_MODEL_LABELS[model]}</option>
+                                        ))}
+                                    </select>
+                                </td>
+                                {NUMBER_FIELDS.slice(2).map(renderNumber)}
+                                <td className="px-2 py-1 text-right whitespace-nowrap text-gray-700">
+                                    {result ? `${formatCurrency(result.monthlyPayment)}/mo` : ''}
+                                </td>
+                                <td className="px-2 py-1 whitespace-nowrap text-right">
+                                    <button
+                                        type="button"
+                                        onClick={() => onEdit(vehicleClass.id)}
+                                        disabled={vehicleClass.id === activeClassId}
+                                        className="text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline mr-3"
+                                    >
+                                        {vehicleClass.id === activeClassId ? 'Editing' : 'Edit'}
+                                    </button>
+                                    {vehicleClasses.length > 1 && (
+                                        <>
+                                            <button
+                                                type="button"
+                                                onClick={() => onView(vehicleClass.id)}
+                                                className="text-blue-600 hover:underline mr-3"
+                                            >
+                                                {vehicleClass.id === viewedClassId ? 'Show Fleet' : 'Drill In'}
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => onRemove(vehicleClass.id)}
+                                                className="text-red-600 hover:underline"
+                                            >
+                                                Remove
+                                            </button>
+                                        </>
+                                    )}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+        </div>
+        {vehicleClasses.length > 1 && (
+            <div className="text-xs text-gray-500 mt-2">
+                The sliders below edit the highlighted class. Purchase costs apply per vehicle to every class.
+                Prices are in each class's currency; payments and totals are converted to {reportingCurrency}.
+            </div>
+        )}
+    </div>
+);
+
+export default FleetEditor;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { MAX_HEAVY_USE_MULTIPLIER, describeHeavyUseTiers } from '../lib/depreciation';
+import { parseNumberInput } from '../lib/numberInput';
+
+// Tiers must stay in order, so each end month sits strictly between its
+// neighbours.
+const validateThroughMonth = (text, previous, next) => {
+    const value = parseNumberInput(text, { min: -Infinity, integer: true });
+    if (value === null) return 'Enter a whole number of months';
+    if (value <= previous || value >= next) {
+        return next === Infinity
+            ? `Must be after month ${previous}`
+            : `Must be between month ${previous + 1} and ${next - 1}`;
+    }
+    return null;
+};
+
+// Same cap as a reloaded scenario, so what is shown is what comes back.
+const validateMultiplier = (text) => (
+    parseNumberInput(text, { max: MAX_HEAVY_USE_MULTIPLIER }) === null
+        ? `Enter a multiplier from 0 to ${MAX_HEAVY_USE_MULTIPLIER}`
+        : null
+);
+
+const HeavyUseTierEditor = ({ tiers, rate, onChange }) => {
+    // Typed months and multipliers stay as text (keyed `field:index`) until
+    // the field loses focus, when they are either applied or flagged.
+    const [drafts, setDrafts] = useState({});
+    const descriptions = describeHeavyUseTiers(rate, tiers);
+
+    const setDraft = (key, changes) => setDrafts({ ...drafts, [key]: { ...drafts[key], ...changes } });
+    const clearDraft = (key) => {
+        const { [key]: applied, ...rest } = drafts;
+        setDrafts(rest);
+    };
+
+    const updateTier = (index, changes) => {
+        onChange(tiers.map((tier, tierIndex) => (tierIndex === index ? { ...tier, ...changes } : tier)));
+    };
+
+    const addTier = () => {
+        const last = tiers[tiers.length - 1];
+        setDrafts({});
+        onChange([...tiers, { throughMonth: last ? last.throughMonth + 12 : 6, multiplier: 1.1 }]);
+    };
+
+    return (
+        <div className="text-xs text-gray-500 mt-1" style={{display: 'inline-block', verticalAlign: 'top'}}>
+            {tiers.map((tier, index) => {
+                const previous = index === 0 ? 0 : tiers[index - 1].throughMonth;
+                const next = index === tiers.length - 1 ? Infinity : tiers[index + 1].throughMonth;
+                const monthKey = `throughMonth:${index}`;
+                const multiplierKey = `multiplier:${index}`;
+                const draft = drafts[monthKey];
+                const multiplierDraft = drafts[multiplierKey];
+                return (
+                    <div key={index} className="mb-1">
+                        <div className="flex items-center gap-1">
+                            <span className="w-28 text-left">{descriptions[index].label}:</span>
+                            <span>through</span>
+                            <input
+                                type="number"
+                                min={previous + 1}
+                                step="1"
+                                value={draft ? draft.text : tier.throughMonth}
+                                onChange={(e) => setDraft(monthKey, { text: e.target.value, error: null })}
+                                onBlur={() => {
+                                    if (!draft) return;
+                                    const error = validateThroughMonth(draft.text, previous, next);
+                                    if (error) {
+                                        setDraft(monthKey, { error });
+                                    } else {
+                                        updateTier(index, { throughMonth: Number(draft.text) });
+                                        clearDraft(monthKey);
+                                    }
+                                }}
+                                className={`w-14 px-1 border rounded ${draft?.error ? 'border-red-500' : 'border-gray-300'}`}
+                            />
+                            <span>mo ×</span>
+                            <input
+                                type="number"
+                                min="0"
+                                max={MAX_HEAVY_USE_MULTIPLIER}
+                                step="0.1"
+                                value={multiplierDraft ? multiplierDraft.text : tier.multiplier}
+                                onChange={(e) => setDraft(multiplierKey, { text: e.target.value, error: null })}
+                                onBlur={() => {
+                                    if (!multiplierDraft) return;
+                                    const error = validateMultiplier(multiplierDraft.text);
+                                    if (error) {
+                                        setDraft(multiplierKey, { error });
+                                    } else {
+                                        updateTier(index, { multiplier: Number(multiplierDraft.text) });
+                                        clearDraft(multiplierKey);
+                                    }
+                                }}
+                                className={`w-14 px-1 border rounded ${multiplierDraft?.error ? 'border-red-500' : 'border-gray-300'}`}
+                            />
+                            <span className="w-12 text-right">{descriptions[index].rate.toFixed(1)}%</span>
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    setDrafts({});
+                                    onChange(tiers.filter((_, tierIndex) => tierIndex !== index));
+                                }}
+                                className="text-red-600 hover:underline ml-1"
+                            >
+                                ×
+                            </button>
+                        </div>
+                        {draft?.error && <div className="text-red-600 text-left">{draft.error}</div>}
+                        {multiplierDraft?.error && <div className="text-red-600 text-left">{multiplierDraft.error}</div>}
+                    </div>
+                );
+            })}
+            <div className="flex items-center gap-1">
+                <span className="w-28 text-left">{descriptions[descriptions.length - 1].label}:</span>
+                <span>{rate.toFixed(1)}%</span>
+                <button type="button" onClick={addTier} className="text-blue-600 hover:underline ml-2">
+                    + Add tier
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default HeavyUseTierEditor;
@@ -0,0 +1,207 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { DEFAULT_LEASE_TERMS, DEFAULT_RENTAL_TERMS, compareFinancingOptions } from '../lib/leaseComparison';
+import { convertAmount, convertFinancingTerms } from '../lib/currency';
+import NumberInput from './NumberInput';
+
+const OPTION_COLORS = {
+    buy: '#3b82f6',
+    lease: '#f59e0b',
+    rent: '#8b5cf6'
+};
+
+const NumberField = ({ label, value, step, min = 0, onChange, disabled = false }) => (
+    <label className="block text-sm font-semibold text-gray-700">
+        {label}
+        <NumberInput
+            min={min}
+            step={step}
+            value={value}
+            disabled={disabled}
+            onChange={onChange}
+            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded font-normal disabled:bg-gray-100"
+        />
+    </label>
+);
+
+const LeaseBuyRentComparison = ({
+    purchase, monthlyMiles, quoteCurrency, currencySettings, formatCurrency, formatCompactCurrency
+}) => {
+    const [lease, setLease] = useState(DEFAULT_LEASE_TERMS);
+    const [rental, setRental] = useState(DEFAULT_RENTAL_TERMS);
+
+    // Quotes are entered in the purchase-cost currency and compared in the reporting currency.
+    const comparison = useMemo(
+        () => compareFinancingOptions({
+            purchase,
+            monthlyMiles,
+            ...convertFinancingTerms({ lease, rental }, quoteCurrency, currencySettings)
+        }),
+        [purchase, monthlyMiles, lease, rental, quoteCurrency, currencySettings]
+    );
+
+    const updateLease = (changes) => setLease({ ...lease, ...changes });
+    const cheapest = comparison.options.reduce((best, option) => (
+        option.totalCostOfOwnership < best.totalCostOfOwnership ? option : best
+    ));
+    const computedPayment = convertAmount(
+        comparison.options.find((option) => option.key === 'lease').monthlyPayment / purchase.numVehicles,
+        currencySettings.currency,
+        quoteCurrency,
+        currencySettings.exchangeRates
+    );
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-lg shadow-md">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">
+                Lease vs. Buy vs. Rent ({comparison.term} months, {purchase.numVehicles} {purchase.numVehicles === 1 ? 'vehicle' : 'vehicles'})
+            </h3>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-4 mb-6">
+                <NumberField
+                    label="Money Factor"
+                    value={lease.moneyFactor}
+                    step={0.0001}
+                    onChange={(value) => updateLease({ moneyFactor: value })}
+                />
+                <NumberField
+                    label="Residual %"
+                    value={lease.residualPercent}
+                    step={1}
+                    onChange={(value) => updateLease({ residualPercent: value })}
+                />
+                <div>
+                    <NumberField
+                        label="Lease Payment / vehicle"
+                        value={lease.monthlyPayment ?? Math.round(computedPayment)}
+                        step={10}
+                        disabled={lease.monthlyPayment === null}
+                        onChange={(value) => updateLease({ monthlyPayment: value })}
+                    />
+                    <label className="text-xs text-gray-500">
+                        <input
+                            type="checkbox"
+                            checked={lease.monthlyPayment !== null}
+                            onChange={(e) => updateLease({ monthlyPayment: e.target.checked ? Math.round(computedPayment) : null })}
+                            className="mr-1"
+                        />
+                        Use quoted payment
+                    </label>
+                </div>
+                <NumberField
+                    label="Miles Allowed / year"
+                    value={lease.annualMileageAllowance}
+                    step={1000}
+                    onChange={(value) => updateLease({ annualMileageAllowance: value })}
+                />
+                <NumberField
+                    label="Overage Fee / mile"
+                    value={lease.overageFee}
+                    step={0.01}
+                    onChange={(value) => updateLease({ overageFee: value })}
+                />
+                <NumberField
+                    label="Rental Rate / vehicle / mo"
+                    value={rental.monthlyRate}
+                    step={50}
+                    onChange={(value) => setRental({ ...rental, monthlyRate: value })}
+                />
+                <div className="text-sm text-gray-600 self-end">
+                    Expected use: {Math.round(monthlyMiles).toLocaleString(currencySettings.locale)} miles / vehicle / month
+                </div>
+            </div>
+            {quoteCurrency !== currencySettings.currency && (
+                <p className="text-xs text-gray-500 -mt-4 mb-6">
+                    Lease and rental quotes are in {quoteCurrency}; costs are converted to {currencySettings.currency}.
+                </p>
+            )}
+
+            <div className="overflow-x-auto mb-6">
+                <table className="min-w-full text-sm text-right">
+                    <thead>
+                        <tr className="border-b border-gray-200 text-gray-600">
+                            <th className="px-3 py-2 text-left font-semibold">Option</th>
+                            <th className="px-3 py-2 font-semibold">Monthly Cost</th>
+                            <th className="px-3 py-2 font-semibold">Total Cash Outlay</th>
+                            <th className="px-3 py-2 font-semibold">Net Position at End of Term</th>
+                            <th className="px-3 py-2 font-semibold">Total Cost of Ownership</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {comparison.options.map((option) => (
+                            <tr
+                                key={option.key}
+                                className={`border-b border-gray-100 ${option.key === cheapest.key ? 'bg-green-50 font-semibold' : ''}`}
+                            >
+                                <td className="px-3 py-2 text-left" style={{ color: OPTION_COLORS[option.key] }}>
+                                    {option.label}
+                                    {option.key === cheapest.key && <span className="ml-2 text-xs text-green-700">lowest cost</span>}
+                                </td>
+                                <td className="px-3 py-2">{formatCurrency(option.monthlyPayment)}</td>
+                                <td className="px-3 py-2">
+                                    {formatCurrency(option.totalCashOutlay)}
+                                    {option.tradeInCredit > 0 && (
+                                        <div className="text-xs text-gray-500">incl. {formatCurrency(option.tradeInCredit)} trade-in</div>
+                                    )}
+                                    {option.mileageOverage > 0 && (
+                                        <div className="text-xs text-gray-500">incl. {formatCurrency(option.mileageOverage)} mileage overage</div>
+                                    )}
+                                </td>
+                                <td className={`px-3 py-2 ${option.netPosition < 0 ? 'text-red-600' : ''}`}>
+                                    {formatCurrency(option.netPosition)}
+                                    {option.assetValue !== undefined && (
+                                        <div className="text-xs text-gray-500">vehicles worth {formatCurrency(option.assetValue)}</div>
+                                    )}
+                                </td>
+                                <td className="px-3 py-2">{formatCurrency(option.totalCostOfOwnership)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={comparison.data}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#e0e4e7" />
+                        <XAxis
+                            dataKey="month"
+                            stroke="#6b7280"
+                            tick={{ fontSize: 12 }}
+                            label={{ value: 'Months', position: 'insideBottom', offset: -5 }}
+                        />
+                        <YAxis
+                            stroke="#6b7280"
+                            tick={{ fontSize: 12 }}
+                            tickFormatter={formatCompactCurrency}
+                            label={{ value: 'Cumulative Cash Outlay', angle: -90, position: 'insideLeft' }}
+                        />
+                        <Tooltip
+                            formatter={(value, name) => [formatCurrency(value), name]}
+                            labelFormatter={(label) => `Month ${label}`}
+                            contentStyle={{
+                                backgroundColor: '#f8fafc',
+                                border: '1px solid #e2e8f0',
+                                borderRadius: '8px'
+                            }}
+                        />
+                        <Legend verticalAlign="bottom" height={36} wrapperStyle={{ paddingTop: '20px' }} />
+                        {comparison.options.map((option) => (
+                            <Line
+                                key={option.key}
+                                type="monotone"
+                                dataKey={option.key}
+                                stroke={OPTION_COLORS[option.key]}
+                                strokeWidth={3}
+                                name={option.label}
+                                dot={false}
+                            />
+                        ))}
+                    </LineChart>
+                </ResponsiveContainer>
+            </div>
+        </div>
+    );
+};
+
+export default LeaseBuyRentComparison;
@@ -0,0 +1,177 @@
+import React from 'react';
+import NumberInput from './NumberInput';
+import {
+    DEFAULT_EXTRA_PAYMENT, DEFAULT_REFINANCE, EXTRA_PAYMENT_REPEATS
+} from '../lib/loanEvents';
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded font-normal';
+
+const LoanEventsEditor = ({ vehicleClass, comparison, formatCurrency, onChange }) => {
+    const extraPayments = vehicleClass.extraPayments || [];
+    const { refinance } = vehicleClass;
+
+    const updateExtra = (index, changes) => onChange({
+        extraPayments: extraPayments.map((extra, i) => (i === index ? { ...extra, ...changes } : extra))
+    });
+
+    const updateRefinance = (changes) => onChange({ refinance: { ...refinance, ...changes } });
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-lg shadow-md">
+            <h3 className="text-lg font-semibold text-gray-800 mb-1">
+                Extra Payments, Balloon & Refinance: {vehicleClass.name}
+            </h3>
+            <p className="text-sm text-gray-500 mb-4">
+                Amounts are per vehicle. Months count from this class's purchase.
+            </p>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                {/* Extra principal */}
+                <div className="space-y-2">
+                    <div className="text-sm font-semibold text-gray-700">Extra Principal Payments</div>
+                    {extraPayments.length === 0 && (
+                        <div className="text-sm text-gray-500">None scheduled.</div>
+                    )}
+                    {extraPayments.map((extra, index) => (
+                        <div key={index} className="flex items-end gap-2 text-xs">
+                            <label className="block font-semibold text-gray-600 w-20">
+                                Month
+                                <NumberInput
+                                    min={1}
+                                    step="1"
+                                    value={extra.month}
+                                    onChange={(value) => updateExtra(index, { month: Math.round(value) })}
+                                    className={inputClass}
+                                />
+                            </label>
+                            <label className="block font-semibold text-gray-600 w-24">
+                                Amount
+                                <NumberInput
+                                    step="100"
+                                    value={extra.amount}
+                                    onChange={(value) => updateExtra(index, { amount: value })}
+                                    className={inputClass}
+                                />
+                            </label>
+                            <label className="block font-semibold text-gray-600 w-24">
+                                Repeat
+                                <select
+                                    value={extra.repeatEvery}
+                                    onChange={(e) => updateExtra(index, { repeatEvery: Number(e.target.value) })}
+                                    className={inputClass}
+                                >
+                                    {EXTRA_PAYMENT_REPEATS.map((repeat) => (
+                                        <option key={repeat.value} value={repeat.value}>{repeat.label}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <button
+                                type="button"
+                                onClick={() => onChange({ extraPayments: extraPayments.filter((_, i) => i !== index) })}
+                                className="px-2 py-1 text-red-600 hover:underline"
+                            >
+                                Remove
+                            </button>
+                        </div>
+                    ))}
+                    <button
+                        type="button"
+                        onClick={() => onChange({ extraPayments: [...extraPayments, DEFAULT_EXTRA_PAYMENT] })}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                    >
+                        Add Extra Payment
+                    </button>
+                </div>
+
+                {/* Balloon and refinance */}
+                <div className="space-y-4">
+                    <label className="block text-sm font-semibold text-gray-700">
+                        Balloon Payment (due month {vehicleClass.loanTerm})
+                        <NumberInput
+                            step="500"
+                            value={vehicleClass.balloonPayment || 0}
+                            onChange={(value) => onChange({ balloonPayment: value })}
+                            className={inputClass}
+                        />
+                    </label>
+                    <div className="space-y-2">
+                        <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(refinance)}
+                                onChange={(e) => onChange({ refinance: e.target.checked ? DEFAULT_REFINANCE : null })}
+                            />
+                            Refinance
+                        </label>
+                        {refinance && (
+                            <div className="grid grid-cols-3 gap-2 text-xs">
+                                <label className="block font-semibold text-gray-600">
+                                    After month
+                                    <NumberInput
+                                        min={1}
+                                        step="1"
+                                        value={refinance.month}
+                                        onChange={(value) => updateRefinance({ month: Math.round(value) })}
+                                        className={inputClass}
+                                    />
+                                </label>
+                                <label className="block font-semibold text-gray-600">
+                                    New APR %
+                                    <NumberInput
+                                        step="0.1"
+                                        value={refinance.interestRate}
+                                        onChange={(value) => updateRefinance({ interestRate: value })}
+                                        className={inputClass}
+                                    />
+                                </label>
+                                <label className="block font-semibold text-gray-600">
+                                    New term (mo)
+                                    <NumberInput
+                                        min={1}
+                                        step="1"
+                                        value={refinance.loanTerm}
+                                        onChange={(value) => updateRefinance({ loanTerm: Math.round(value) })}
+                                        className={inputClass}
+                                    />
+                                </label>
+                            </div>
+                        )}
+                        {refinance && refinance.month >= vehicleClass.loanTerm && (
+                            <div className="text-xs text-red-600">
+                                The loan ends at month {vehicleClass.loanTerm}, so this refinance has no effect.
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                {/* Impact versus the plain loan */}
+                <div className="grid grid-cols-2 gap-3 content-start">
+                    {comparison ? (
+                        <>
+                            <div className="text-center p-3 bg-green-50 rounded-lg">
+                                <div className="text-xl font-bold text-green-600">{formatCurrency(comparison.interestSaved)}</div>
+                                <div className="text-xs text-gray-600">Interest Saved</div>
+                            </div>
+                            <div className="text-center p-3 bg-blue-50 rounded-lg">
+                                <div className="text-xl font-bold text-blue-600">Month {comparison.payoffMonth}</div>
+                                <div className="text-xs text-gray-600">Paid Off (was month {comparison.baselinePayoffMonth})</div>
+                            </div>
+                            <div className="col-span-2 text-center p-3 bg-gray-50 rounded-lg">
+                                <div className={`text-xl font-bold ${comparison.endOfTermEquityChange >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                    {comparison.endOfTermEquityChange >= 0 ? '+' : ''}{formatCurrency(comparison.endOfTermEquityChange)}
+                                </div>
+                                <div className="text-xs text-gray-600">Equity Change at Original End of Term</div>
+                            </div>
+                        </>
+                    ) : (
+                        <div className="col-span-2 text-sm text-gray-500">
+                            Add an extra payment, balloon or refinance to compare against the plain loan.
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LoanEventsEditor;
@@ -0,0 +1,39 @@
+import React from 'react';
+import RangeSliderField from './RangeSliderField';
+import { DEFAULT_RANGES } from '../lib/ranges';
+
+const MileageModelControls = ({
+    monthlyMiles, perMilePenalty, salvageFloor, onChange, formatCurrency, locale, ranges, onRangeChange
+}) => {
+    const field = (key) => ({
+        value: { monthlyMiles, perMilePenalty, salvageFloor }[key],
+        onChange: (value) => onChange({ [key]: value }),
+        rangeKey: key,
+        range: ranges[key],
+        defaultRange: DEFAULT_RANGES[key],
+        onRangeChange: (range) => onRangeChange(key, range),
+        sliderClassName: 'bg-red-200'
+    });
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-4 text-left">
+            <RangeSliderField
+                label={`Miles per Month: ${monthlyMiles.toLocaleString(locale)}`}
+                formatBound={(bound) => bound.toLocaleString(locale)}
+                {...field('monthlyMiles')}
+            />
+            <RangeSliderField
+                label={`Per-Mile Penalty: ${formatCurrency(perMilePenalty, 2)} per mile`}
+                formatBound={(bound) => formatCurrency(bound, 2)}
+                {...field('perMilePenalty')}
+            />
+            <RangeSliderField
+                label={`Salvage Floor: ${salvageFloor.toFixed(0)}% of price`}
+                formatBound={(bound) => `${bound}%`}
+                {...field('salvageFloor')}
+            />
+        </div>
+    );
+};
+
+export default MileageModelControls;
@@ -0,0 +1,137 @@
+import React from 'react';
+import NumberInput from './NumberInput';
+import { SIMULATION_PATH_OPTIONS, formatProbability } from '../lib/monteCarlo';
+
+const inputClass = 'mt-1 w-full px-2 py-1 border border-gray-300 rounded font-normal';
+
+const MonteCarloControls = ({ settings, result, isStale, formatCurrency, onChange, onRun }) => {
+    const update = (changes) => onChange({ ...settings, ...changes });
+
+    return (
+        <div className="mt-6 border-t border-gray-200 pt-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+                <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={settings.enabled}
+                        onChange={(e) => {
+                            const next = { ...settings, enabled: e.target.checked };
+                            onChange(next);
+                            if (next.enabled) onRun(next);
+                        }}
+                    />
+                    Stochastic mode (Monte Carlo resale values)
+                </label>
+                {settings.enabled && (
+                    <button
+                        type="button"
+                        onClick={() => onRun(settings)}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+                    >
+                        Run Simulation
+                    </button>
+                )}
+            </div>
+
+            {settings.enabled && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-3 items-end">
+                        <label className="block text-sm font-semibold text-gray-700">
+                            Resale volatility (% / yr)
+                            <NumberInput
+                                step="1"
+                                value={settings.volatility}
+                                onChange={(volatility) => update({ volatility })}
+                                className={inputClass}
+                            />
+                        </label>
+                        <label className="block text-sm font-semibold text-gray-700">
+                            Paths
+                            <select
+                                value={settings.paths}
+                                onChange={(e) => update({ paths: Number(e.target.value) })}
+                                className={inputClass}
+                            >
+                                {SIMULATION_PATH_OPTIONS.map((paths) => (
+                                    <option key={paths} value={paths}>{paths.toLocaleString()}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="block text-sm font-semibold text-gray-700">
+                            Seed
+                            <NumberInput
+                                step="1"
+                                value={settings.seed}
+                                onChange={(seed) => update({ seed: Math.round(seed) })}
+                                className={inputClass}
+                            />
+                        </label>
+                        <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 pb-1">
+                            <input
+                                type="checkbox"
+                                checked={settings.randomRates}
+                                onChange={(e) => update({ randomRates: e.target.checked })}
+                            />
+                            Variable-rate loans
+                        </label>
+                        {settings.randomRates && (
+                            <label className="block text-sm font-semibold text-gray-700">
+                                Rate volatility (pts / yr)
+                                <NumberInput
+                                    step="0.25"
+                                    value={settings.rateVolatility}
+                                    onChange={(rateVolatility) => update({ rateVolatility })}
+                                    className={inputClass}
+                                />
+                            </label>
+                        )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                        Each path moves resale prices by a random market swing around the projected curve; with
+                        variable-rate loans the interest rate also wanders and the payment is re-amortized every month.
+                        The same seed always gives the same results.
+                    </p>
+
+                    {isStale && (
+                        <div className="text-sm text-amber-700 mt-2">
+                            Inputs changed since the last run. Re-run the simulation to update the bands.
+                        </div>
+                    )}
+                    {result && (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                            <div className="text-center p-4 bg-red-50 rounded-lg">
+                                <div className="text-2xl font-bold text-red-600">
+                                    {formatProbability(result.probabilityUnderwaterAtEnd)}
+                                </div>
+                                <div className="text-sm text-gray-600">
+                                    Chance Still Underwater at End of Term (month {result.endOfTermMonth})
+                                </div>
+                                <div className="text-xs text-gray-500 mt-1">
+                                    Value below what is owed going into the last payment, balloon included
+                                </div>
+                            </div>
+                            <div className="text-center p-4 bg-red-50 rounded-lg">
+                                <div className="text-2xl font-bold text-red-600">
+                                    {formatProbability(result.probabilityEverUnderwater)}
+                                </div>
+                                <div className="text-sm text-gray-600">Chance of Going Underwater During the Term</div>
+                            </div>
+                            <div className="text-center p-4 bg-green-50 rounded-lg">
+                                <div className="text-2xl font-bold text-green-600">
+                                    {formatCurrency(result.endOfTermEquity.p50)}
+                                </div>
+                                <div className="text-sm text-gray-600">Median Equity at End of Term</div>
+                                <div className="text-xs text-gray-500 mt-1">
+                                    P10 {formatCurrency(result.endOfTermEquity.p10)} · P90 {formatCurrency(result.endOfTermEquity.p90)}
+                                    {' '}· {result.paths.toLocaleString()} paths
+                                </div>
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default MonteCarloControls;
@@ -0,0 +1,22 @@
+import React from 'react';
+import { parseNumberInput } from '../lib/numberInput';
+
+/**
+ * A number input that only commits usable numbers (see parseNumberInput);
+ * other props go straight to the <input>.
+ */
+const NumberInput = ({ value, onChange, min = 0, max = Infinity, integer = false, ...inputProps }) => (
+    <input
+        {...inputProps}
+        type="number"
+        min={min}
+        max={Number.isFinite(max) ? max : undefined}
+        value={value ?? ''}
+        onChange={(e) => {
+            const next = parseNumberInput(e.target.value, { min, max, integer });
+            if (next !== null) onChange(next);
+        }}
+    />
+);
+
+export default NumberInput;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { effectiveRange, validateRange, validateValue } from '../lib/ranges';
+
+/**
+ * A slider paired with a number input. Typed values may fall outside the
+ * slider's range (up to the hard limits), in which case the slider stretches
+ * to include them; the range itself can also be widened inline.
+ */
+const RangeSliderField = ({
+    label,
+    value,
+    onChange,
+    rangeKey,
+    range,
+    defaultRange,
+    onRangeChange,
+    formatBound = (bound) => bound,
+    sliderClassName = 'bg-gray-200',
+    disabled = false
+}) => {
+    const [draft, setDraft] = useState(null);
+    const [rangeDraft, setRangeDraft] = useState(null);
+
+    const shown = effectiveRange(range, value);
+    const valueError = draft === null ? null : validateValue(draft, rangeKey);
+    const rangeError = rangeDraft === null
+        ? null
+        : validateRange({ min: Number(rangeDraft.min), max: Number(rangeDraft.max) }, rangeKey);
+
+    const typeValue = (text) => {
+        setDraft(text);
+        if (!validateValue(text, rangeKey)) onChange(Number(text));
+    };
+
+    const applyRange = () => {
+        if (rangeError) return;
+        onRangeChange({ ...range, min: Number(rangeDraft.min), max: Number(rangeDraft.max) });
+        setRangeDraft(null);
+    };
+
+    return (
+        <div className="space-y-2">
+            <label className="block text-sm font-semibold text-gray-700">
+                {label}
+            </label>
+            <div className="flex items-center gap-2">
+                <input
+                    type="range"
+                    disabled={disabled}
+                    min={shown.min}
+                    max={shown.max}
+                    step={shown.step}
+                    value={value}
+                    onChange={(e) => {
+                        setDraft(null);
+                        onChange(Number(e.target.value));
+                    }}
+                    className={`w-full h-2 ${sliderClassName} rounded-lg appearance-none cursor-pointer slider`}
+                />
+                <input
+                    type="number"
+                    aria-label={`${rangeKey} value`}
+                    disabled={disabled}
+                    step={shown.step}
+                    value={draft ?? value}
+                    onChange={(e) => typeValue(e.target.value)}
+                    onBlur={() => setDraft(null)}
+                    className={`w-24 px-2 py-1 border rounded text-sm ${valueError ? 'border-red-500' : 'border-gray-300'}`}
+                />
+            </div>
+            {valueError && <div className="text-xs text-red-600">{valueError}</div>}
+            <div className="flex justify-between text-xs text-gray-500">
+                <span>{formatBound(shown.min)}</span>
+                <button
+                    type="button"
+                    onClick={() => setRangeDraft(rangeDraft ? null : { min: String(range.min), max: String(range.max) })}
+                    className="text-blue-600 hover:underline"
+                >
+                    {rangeDraft ? 'Cancel' : 'Edit range'}
+                </button>
+                <span>{formatBound(shown.max)}</span>
+            </div>
+            {rangeDraft && (
+                <div className="space-y-1">
+                    <div className="flex items-center gap-2 text-xs">
+                        <input
+                            type="number"
+                            aria-label={`${rangeKey} range minimum`}
+                            value={rangeDraft.min}
+                            onChange={(e) => setRangeDraft({ ...rangeDraft, min: e.target.value })}
+                            className="w-20 px-1 py-0.5 border border-gray-300 rounded"
+                        />
+                        <span>to</span>
+                        <input
+                            type="number"
+                            aria-label={`${rangeKey} range maximum`}
+                            value={rangeDraft.max}
+                            onChange={(e) => setRangeDraft({ ...rangeDraft, max: e.target.value })}
+                            className="w-20 px-1 py-0.5 border border-gray-300 rounded"
+                        />
+                        <button
+                            type="button"
+                            disabled={Boolean(rangeError)}
+                            onClick={applyRange}
+                            className="px-2 py-0.5 bg-blue-600 text-white rounded disabled:bg-gray-300"
+                        >
+                            Apply
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => {
+                                onRangeChange(defaultRange);
+                                setRangeDraft(null);
+                            }}
+                            className="text-gray-600 hover:underline"
+                        >
+                            Reset
+                        </button>
+                    </div>
+                    {rangeError && <div className="text-xs text-red-600">{rangeError}</div>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RangeSliderField;
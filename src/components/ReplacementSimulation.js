@@ -0,0 +1,186 @@
+import React, { useState, useMemo } from 'react';
+import { ComposedChart, Line, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { DEFAULT_REPLACEMENT_POLICY, DEFAULT_SIMULATION_HORIZON, simulateFleet } from '../lib/replacement';
+
+const POLICY_OPTIONS = [
+    { value: 'none', label: 'Hold' },
+    { value: 'age', label: 'Replace at Age' },
+    { value: 'mileage', label: 'Replace at Mileage' }
+];
+
+const ReplacementSimulation = ({ fleetInputs, formatCurrency, formatCompactCurrency, locale }) => {
+    const [policy, setPolicy] = useState(DEFAULT_REPLACEMENT_POLICY);
+    const [horizon, setHorizon] = useState(DEFAULT_SIMULATION_HORIZON);
+
+    const simulation = useMemo(
+        () => simulateFleet(fleetInputs, policy, horizon),
+        [fleetInputs, policy, horizon]
+    );
+
+    const updatePolicy = (changes) => setPolicy({ ...policy, ...changes });
+
+    const formatTooltip = (value, name) => [formatCurrency(value), name];
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-lg shadow-md">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <h3 className="text-lg font-semibold text-gray-800">Fleet Replacement Simulation</h3>
+                <div className="inline-flex rounded-lg border border-gray-300 bg-gray-100 p-1">
+                    {POLICY_OPTIONS.map((option) => (
+                        <button
+                            key={option.value}
+                            type="button"
+                            onClick={() => updatePolicy({ type: option.value })}
+                            className={`px-3 py-2 text-sm font-medium rounded-md transition-all ${
+                                policy.type === option.value
+                                    ? 'bg-white text-gray-900 shadow-sm'
+                                    : 'text-gray-500 hover:text-gray-700'
+                            }`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+                {policy.type === 'mileage' ? (
+                    <div className="space-y-2">
+                        <label className="block text-sm font-semibold text-gray-700">
+                            Sell at: {policy.mileageThreshold.toLocaleString(locale)} miles
+                        </label>
+                        <input
+                            type="range"
+                            min="25000"
+                            max="300000"
+                            step="5000"
+                            value={policy.mileageThreshold}
+                            onChange={(e) => updatePolicy({ mileageThreshold: Number(e.target.value) })}
+                            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
+                        />
+                        <div className="flex justify-between text-xs text-gray-500">
+                            <span>25k mi</span>
+                            <span>300k mi</span>
+                        </div>
+                    </div>
+                ) : (
+                    <div className="space-y-2">
+                        <label className="block text-sm font-semibold text-gray-700">
+                            Sell at: {policy.type === 'none' ? 'never' : `month ${policy.replaceAtMonth}`}
+                        </label>
+                        <input
+                            type="range"
+                            min="12"
+                            max="120"
+                            step="1"
+                            value={policy.replaceAtMonth}
+                            disabled={policy.type === 'none'}
+                            onChange={(e) => updatePolicy({ replaceAtMonth: Number(e.target.value) })}
+                            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider disabled:opacity-40"
+                        />
+                        <div className="flex justify-between text-xs text-gray-500">
+                            <span>1 year</span>
+                            <span>10 years</span>
+                        </div>
+                    </div>
+                )}
+
+                <div className="space-y-2">
+                    <label className="block text-sm font-semibold text-gray-700">
+                        New Vehicle Price Increase: {policy.priceEscalation.toFixed(1)}% per year
+                    </label>
+                    <input
+                        type="range"
+                        min="0"
+                        max="10"
+                        step="0.5"
+                        value={policy.priceEscalation}
+                        onChange={(e) => updatePolicy({ priceEscalation: Number(e.target.value) })}
+                        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
+                    />
+                    <div className="flex justify-between text-xs text-gray-500">
+                        <span>0%</span>
+                        <span>10%</span>
+                    </div>
+                </div>
+
+                <div className="space-y-2">
+                    <label className="block text-sm font-semibold text-gray-700">
+                        Horizon: {horizon / 12} years
+                    </label>
+                    <input
+                        type="range"
+                        min="36"
+                        max="240"
+                        step="12"
+                        value={horizon}
+                        onChange={(e) => setHorizon(Number(e.target.value))}
+                        className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
+                    />
+                    <div className="flex justify-between text-xs text-gray-500">
+                        <span>3 years</span>
+                        <span>20 years</span>
+                    </div>
+                </div>
+            </div>
+
+            <div className="h-96">
+                <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={simulation.data}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#e0e4e7" />
+                        <XAxis
+                            dataKey="month"
+                            stroke="#6b7280"
+                            tick={{ fontSize: 12 }}
+                            label={{ value: 'Months', position: 'insideBottom', offset: -5 }}
+                        />
+                        <YAxis
+                            stroke="#6b7280"
+                            tick={{ fontSize: 12 }}
+                            tickFormatter={formatCompactCurrency}
+                        />
+                        <Tooltip
+                            formatter={formatTooltip}
+                            labelFormatter={(label) => `Month ${label}`}
+                            contentStyle={{
+                                backgroundColor: '#f8fafc',
+                                border: '1px solid #e2e8f0',
+                                borderRadius: '8px'
+                            }}
+                        />
+                        <Legend verticalAlign="bottom" height={36} wrapperStyle={{ paddingTop: '20px' }} />
+                        <ReferenceLine y={0} stroke="#9ca3af" strokeDasharray="2 2" />
+                        <Bar dataKey="cashOutflow" name="Monthly Cash Outflow" fill="#a78bfa" />
+                        <Line type="monotone" dataKey="vehicleValue" stroke="#ef4444" strokeWidth={3} name="Fleet Value" dot={false} />
+                        <Line type="monotone" dataKey="loanBalance" stroke="#3b82f6" strokeWidth={3} name="Debt Outstanding" dot={false} />
+                    </ComposedChart>
+                </ResponsiveContainer>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mt-6">
+                <div className="text-center p-4 bg-purple-50 rounded-lg">
+                    <div className="text-xl font-bold text-purple-600">{formatCurrency(simulation.totalCashOutflow)}</div>
+                    <div className="text-sm text-gray-600">Total Cash Outflow</div>
+                </div>
+                <div className="text-center p-4 bg-blue-50 rounded-lg">
+                    <div className="text-xl font-bold text-blue-600">{formatCurrency(simulation.peakDebt)}</div>
+                    <div className="text-sm text-gray-600">Peak Debt Outstanding</div>
+                </div>
+                <div className="text-center p-4 bg-blue-50 rounded-lg">
+                    <div className="text-xl font-bold text-blue-600">{formatCurrency(simulation.totalInterest)}</div>
+                    <div className="text-sm text-gray-600">Total Interest</div>
+                </div>
+                <div className="text-center p-4 bg-gray-100 rounded-lg">
+                    <div className="text-xl font-bold text-gray-700">{simulation.replacements}</div>
+                    <div className="text-sm text-gray-600">Vehicles Replaced</div>
+                </div>
+                <div className="text-center p-4 bg-green-50 rounded-lg">
+                    <div className="text-xl font-bold text-green-600">{formatCurrency(simulation.finalEquity)}</div>
+                    <div className="text-sm text-gray-600">Equity at {horizon / 12} Years</div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReplacementSimulation;
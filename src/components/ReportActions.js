@@ -0,0 +1,25 @@
+import React from 'react';
+import { downloadFile, printHTML } from '../lib/download';
+
+const ReportActions = ({ buildReport, filename = 'vehicle-depreciation-report' }) => (
+    <div className="inline-flex items-center gap-2 text-sm">
+        <span className="font-semibold text-gray-700">Generate report:</span>
+        <button
+            type="button"
+            onClick={() => downloadFile(`${filename}.html`, buildReport(), 'text/html;charset=utf-8')}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100"
+        >
+            HTML
+        </button>
+        <button
+            type="button"
+            onClick={() => printHTML(buildReport())}
+            title='Opens the print dialog; choose "Save as PDF" as the destination'
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100"
+        >
+            Print / Save as PDF
+        </button>
+    </div>
+);
+
+export default ReportActions;
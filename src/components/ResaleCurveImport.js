@@ -0,0 +1,93 @@
+import React from 'react';
+import { CURVE_TYPES } from '../lib/curveFit';
+
+const CURVE_LABELS = {
+    exponential: 'Exponential',
+    piecewise: 'Piecewise Linear'
+};
+
+const describeCurve = (curve) => {
+    if (curve.type === 'exponential') {
+        const monthly = (1 - Math.exp(curve.ageRate)) * 100;
+        const perTenThousandMiles = (1 - Math.exp(curve.mileRate * 10000)) * 100;
+        return curve.mileRate
+            ? `${monthly.toFixed(2)}%/mo + ${perTenThousandMiles.toFixed(2)}% per 10k mi, starting at ${(100 * Math.exp(curve.intercept)).toFixed(1)}%`
+            : `${monthly.toFixed(2)}%/mo, starting at ${(100 * Math.exp(curve.intercept)).toFixed(1)}%`;
+    }
+    return `${curve.knots.length} knots`;
+};
+
+const ResaleCurveImport = ({ resaleData, fits, selectedType, onImport, onSelect }) => {
+    const handleFile = (e) => {
+        const [file] = e.target.files;
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => onImport(String(reader.result), file.name);
+        reader.readAsText(file);
+        e.target.value = '';
+    };
+
+    return (
+        <div className="mt-4 p-4 bg-amber-50 rounded-lg border border-amber-200 text-left text-sm">
+            <div className="flex flex-wrap items-center gap-3">
+                <label className="font-semibold text-gray-700">
+                    Historical resale CSV (age in months, mileage, sale price % of original):
+                </label>
+                <input type="file" accept=".csv,text/csv,text/plain" onChange={handleFile} className="text-xs" />
+            </div>
+
+            {!resaleData && (
+                <div className="text-xs text-gray-500 mt-2">
+                    Import your auction / resale history to fit a curve. Until then the fitted model holds value flat.
+                </div>
+            )}
+
+            {resaleData && (
+                <>
+                    <div className="text-xs text-gray-600 mt-2">
+                        {resaleData.fileName}: {resaleData.points.length} data points
+                        {resaleData.errors.length > 0 && `, ${resaleData.errors.length} lines skipped`}
+                    </div>
+                    {resaleData.errors.slice(0, 3).map((error) => (
+                        <div key={error} className="text-xs text-red-600">{error}</div>
+                    ))}
+                    <table className="mt-2 text-xs">
+                        <thead>
+                            <tr className="text-gray-500">
+                                <th className="px-2 py-1 text-left font-medium">Fit</th>
+                                <th className="px-2 py-1 text-left font-medium">Curve</th>
+                                <th className="px-2 py-1 text-right font-medium">R²</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {CURVE_TYPES.map((type) => (
+                                <tr key={type}>
+                                    <td className="px-2 py-1">
+                                        <label className="flex items-center gap-1">
+                                            <input
+                                                type="radio"
+                                                name="resaleCurve"
+                                                checked={selectedType === type}
+                                                disabled={!fits[type]}
+                                                onChange={() => onSelect(type)}
+                                            />
+                                            {CURVE_LABELS[type]}
+                                        </label>
+                                    </td>
+                                    <td className="px-2 py-1 text-gray-600">
+                                        {fits[type] ? describeCurve(fits[type]) : 'no usable fit'}
+                                    </td>
+                                    <td className="px-2 py-1 text-right font-semibold">
+                                        {fits[type] ? fits[type].rSquared.toFixed(3) : '—'}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ResaleCurveImport;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { SCENARIO_DASHES } from '../lib/scenarios';
+import { DEPRECIATION_MODEL_LABELS } from '../lib/depreciation';
+import { encodeScenarioParams } from '../lib/scenarioState';
+
+const INSIGHT_ROWS = [
+    { key: 'valueAfterOneYear', label: 'Value After 1 Year' },
+    { key: 'endOfTermBalance', label: 'Loan Balance at End of Term' },
+    { key: 'finalEquity', label: 'Final Equity Position' },
+    { key: 'totalInterest', label: 'Total Interest' }
+];
+
+const describeScenario = ({ vehicleClasses }) => {
+    if (vehicleClasses.length > 1) {
+        const count = vehicleClasses.reduce((total, vehicleClass) => total + vehicleClass.numVehicles, 0);
+        return `${vehicleClasses.length} classes · ${count} vehicles`;
+    }
+    const [vehicleClass] = vehicleClasses;
+    const model = DEPRECIATION_MODEL_LABELS[vehicleClass.depreciationModel] || vehicleClass.depreciationModel;
+    return `${vehicleClass.loanTerm} mo · ${vehicleClass.interestRate.toFixed(1)}% · ${model} ${vehicleClass.depreciationRate.toFixed(1)}%`;
+};
+
+const ScenarioComparison = ({ currentInsights, currentInputs, scenarios, onSave, onLoad, onRemove, formatCurrency }) => {
+    const [name, setName] = useState('');
+    const [copied, setCopied] = useState(false);
+
+    const copyLink = () => {
+        if (!navigator.clipboard) return;
+        navigator.clipboard.writeText(window.location.href).then(() => {
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        }, () => setCopied(false));
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        onSave(name.trim() || describeScenario(currentInputs));
+        setName('');
+    };
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-lg shadow-md">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <h3 className="text-lg font-semibold text-gray-800">Scenario Comparison</h3>
+                <form onSubmit={handleSave} className="flex gap-2">
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder={describeScenario(currentInputs)}
+                        className="px-3 py-2 text-sm border border-gray-300 rounded-md w-64"
+                    />
+                    <button
+                        type="submit"
+                        className="px-3 py-2 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700"
+                    >
+                        Save Scenario
+                    </button>
+                    <button
+                        type="button"
+                        onClick={copyLink}
+                        className="px-3 py-2 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+                    >
+                        {copied ? 'Link Copied' : 'Copy Link'}
+                    </button>
+                </form>
+            </div>
+
+            {scenarios.length === 0 ? (
+                <div className="text-sm text-gray-500">
+                    Save the current settings as a scenario to overlay it on the chart and compare it here.
+                </div>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm text-right">
+                        <thead>
+                            <tr className="border-b border-gray-200 text-gray-600">
+                                <th className="px-3 py-2 text-left font-semibold">Scenario</th>
+                                {INSIGHT_ROWS.map((row) => (
+                                    <th key={row.key} className="px-3 py-2 font-semibold whitespace-nowrap">{row.label}</th>
+                                ))}
+                                <th className="px-3 py-2" />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr className="border-b border-gray-100 font-semibold">
+                                <td className="px-3 py-2 text-left">
+                                    <svg width="32" height="8" className="inline mr-2">
+                                        <line x1="0" y1="4" x2="32" y2="4" stroke="#6b7280" strokeWidth="3" />
+                                    </svg>
+                                    Current
+                                    <div className="text-xs font-normal text-gray-500">{describeScenario(currentInputs)}</div>
+                                </td>
+                                {INSIGHT_ROWS.map((row) => (
+                                    <td key={row.key} className="px-3 py-2">{formatCurrency(currentInsights[row.key])}</td>
+                                ))}
+                                <td />
+                            </tr>
+                            {scenarios.map((scenario, index) => (
+                                <tr key={scenario.id} className="border-b border-gray-100">
+                                    <td className="px-3 py-2 text-left">
+                                        <svg width="32" height="8" className="inline mr-2">
+                                            <line
+                                                x1="0" y1="4" x2="32" y2="4"
+                                                stroke="#6b7280"
+                                                strokeWidth="2"
+                                                strokeDasharray={SCENARIO_DASHES[index % SCENARIO_DASHES.length]}
+                                            />
+                                        </svg>
+                                        {scenario.name}
+                                        <div className="text-xs text-gray-500">{describeScenario(scenario.inputs)}</div>
+                                    </td>
+                                    {INSIGHT_ROWS.map((row) => {
+                                        const delta = scenario.insights[row.key] - currentInsights[row.key];
+                                        return (
+                                            <td key={row.key} className="px-3 py-2">
+                                                {formatCurrency(scenario.insights[row.key])}
+                                                {delta !== 0 && (
+                                                    <div className="text-xs text-gray-500">
+                                                        {delta > 0 ? '+' : ''}{formatCurrency(delta)} vs current
+                                                    </div>
+                                                )}
+                                            </td>
+                                        );
+                                    })}
+                                    <td className="px-3 py-2 whitespace-nowrap">
+                                        <button
+                                            type="button"
+                                            onClick={() => onLoad(scenario.id)}
+                                            className="text-blue-600 hover:underline mr-3"
+                                        >
+                                            Load
+                                        </button>
+                                        <a
+                                            href={`#${encodeScenarioParams(scenario.inputs)}`}
+                                            className="text-blue-600 hover:underline mr-3"
+                                        >
+                                            Link
+                                        </a>
+                                        <button
+                                            type="button"
+                                            onClick={() => onRemove(scenario.id)}
+                                            className="text-red-600 hover:underline"
+                                        >
+                                            Remove
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ScenarioComparison;
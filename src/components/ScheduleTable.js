@@ -0,0 +1,130 @@
+import React, { useState, useMemo } from 'react';
+import { SCHEDULE_COLUMNS, scheduleToCSV, scheduleToJSON } from '../lib/scheduleExport';
+import { downloadFile } from '../lib/download';
+
+const PAGE_SIZES = [12, 24, 60];
+
+const ScheduleTable = ({ rows, formatCurrency, filename = 'amortization-schedule' }) => {
+    const [sortKey, setSortKey] = useState('month');
+    const [sortDirection, setSortDirection] = useState('asc');
+    const [pageSize, setPageSize] = useState(12);
+    const [page, setPage] = useState(0);
+
+    const sortedRows = useMemo(() => {
+        const direction = sortDirection === 'asc' ? 1 : -1;
+        return [...rows].sort((a, b) => (a[sortKey] - b[sortKey]) * direction || a.month - b.month);
+    }, [rows, sortKey, sortDirection]);
+
+    const pageCount = Math.max(1, Math.ceil(sortedRows.length / pageSize));
+    const currentPage = Math.min(page, pageCount - 1);
+    const pageRows = sortedRows.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+    const handleSort = (key) => {
+        if (key === sortKey) {
+            setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+        } else {
+            setSortKey(key);
+            setSortDirection('asc');
+        }
+        setPage(0);
+    };
+
+    const formatCell = (key, value) => {
+        if (key === 'month') return value;
+        return formatCurrency(value, 2);
+    };
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-lg shadow-md">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <h3 className="text-lg font-semibold text-gray-800">Amortization Schedule</h3>
+                <div className="flex gap-2">
+                    <button
+                        type="button"
+                        onClick={() => downloadFile(`${filename}.csv`, scheduleToCSV(rows), 'text/csv;charset=utf-8')}
+                        className="px-3 py-2 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+                    >
+                        Download CSV
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => downloadFile(`${filename}.json`, scheduleToJSON(rows), 'application/json')}
+                        className="px-3 py-2 text-sm font-medium rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+                    >
+                        Download JSON
+                    </button>
+                </div>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="min-w-full text-sm text-right">
+                    <thead>
+                        <tr className="border-b border-gray-200 text-gray-600">
+                            {SCHEDULE_COLUMNS.map((column) => (
+                                <th
+                                    key={column.key}
+                                    onClick={() => handleSort(column.key)}
+                                    className="px-3 py-2 font-semibold cursor-pointer select-none whitespace-nowrap"
+                                >
+                                    {column.label}
+                                    {sortKey === column.key && (sortDirection === 'asc' ? ' ▲' : ' ▼')}
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {pageRows.map((row) => (
+                            <tr key={row.month} className="border-b border-gray-100 hover:bg-gray-50">
+                                {SCHEDULE_COLUMNS.map((column) => (
+                                    <td
+                                        key={column.key}
+                                        className={`px-3 py-1 whitespace-nowrap ${column.key === 'equity' && row.equity < 0 ? 'text-red-600' : 'text-gray-800'}`}
+                                    >
+                                        {formatCell(column.key, row[column.key])}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-2 mt-4 text-sm text-gray-600">
+                <label>
+                    Rows per page:{' '}
+                    <select
+                        value={pageSize}
+                        onChange={(e) => {
+                            setPageSize(Number(e.target.value));
+                            setPage(0);
+                        }}
+                        className="border border-gray-300 rounded"
+                    >
+                        {PAGE_SIZES.map((size) => <option key={size} value={size}>{size}</option>)}
+                    </select>
+                </label>
+                <div className="flex items-center gap-2">
+                    <button
+                        type="button"
+                        disabled={currentPage === 0}
+                        onClick={() => setPage(currentPage - 1)}
+                        className="px-2 py-1 rounded-md border border-gray-300 disabled:opacity-40"
+                    >
+                        Prev
+                    </button>
+                    <span>Page {currentPage + 1} of {pageCount}</span>
+                    <button
+                        type="button"
+                        disabled={currentPage >= pageCount - 1}
+                        onClick={() => setPage(currentPage + 1)}
+                        className="px-2 py-1 rounded-md border border-gray-300 disabled:opacity-40"
+                    >
+                        Next
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ScheduleTable;
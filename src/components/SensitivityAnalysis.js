@@ -0,0 +1,175 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import {
+    DEFAULT_SWINGS, SENSITIVITY_INPUTS, SENSITIVITY_METRICS, findSensitivityInput, runHeatmap, runTornado
+} from '../lib/sensitivity';
+import NumberInput from './NumberInput';
+
+const UNIT_LABELS = { points: 'pts', months: 'mo', percent: '%' };
+
+// Green where the change helps, red where it hurts, stronger further out.
+const cellColor = (diff, maxDiff, higherIsBetter) => {
+    if (!maxDiff || !diff) return '#f9fafb';
+    const alpha = 0.15 + 0.6 * Math.min(1, Math.abs(diff) / maxDiff);
+    return (diff > 0) === higherIsBetter ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+};
+
+const SensitivityAnalysis = ({ fleetInputs, formatCurrency, formatCompactCurrency }) => {
+    const [metric, setMetric] = useState(SENSITIVITY_METRICS[0].key);
+    const [swings, setSwings] = useState(DEFAULT_SWINGS);
+    const [rowKey, setRowKey] = useState('depreciationRate');
+    const [columnKey, setColumnKey] = useState('interestRate');
+
+    const tornado = useMemo(() => runTornado(fleetInputs, swings), [fleetInputs, swings]);
+    const heatmap = useMemo(
+        () => runHeatmap(fleetInputs, { rowKey, columnKey, metric, swings }),
+        [fleetInputs, rowKey, columnKey, metric, swings]
+    );
+
+    const metricLabel = SENSITIVITY_METRICS.find((option) => option.key === metric).label;
+    const higherIsBetter = metric === 'finalEquity';
+
+    const tornadoData = tornado.rows
+        .map((row) => ({ ...row, low: row[metric].low, high: row[metric].high }))
+        .sort((a, b) => Math.abs(b.high - b.low) - Math.abs(a.high - a.low));
+
+    const formatTooltip = (value, name, item) => [
+        formatCurrency(value),
+        `${item.payload.label} ${item.dataKey === 'low' ? item.payload.lowLabel : item.payload.highLabel}`
+    ];
+
+    const centerRow = Math.floor(heatmap.rows.length / 2);
+    const centerColumn = Math.floor(heatmap.columns.length / 2);
+    const baseCell = heatmap.cells[centerRow][centerColumn];
+    const maxDiff = Math.max(...heatmap.cells.flat().map((value) => Math.abs(value - baseCell)));
+
+    return (
+        <div className="mt-8 bg-white p-6 rounded-lg shadow-md">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <h3 className="text-lg font-semibold text-gray-800">Sensitivity Analysis</h3>
+                <div className="inline-flex rounded-lg border border-gray-300 bg-gray-100 p-1">
+                    {SENSITIVITY_METRICS.map((option) => (
+                        <button
+                            key={option.key}
+                            type="button"
+                            onClick={() => setMetric(option.key)}
+                            className={`px-3 py-2 text-sm font-medium rounded-md transition-all ${
+                                metric === option.key
+                                    ? 'bg-white text-gray-900 shadow-sm'
+                                    : 'text-gray-500 hover:text-gray-700'
+                            }`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+                Each input is moved up and down by the swing below in every vehicle class, holding everything else
+                fixed. Base case: final equity {formatCurrency(tornado.base.finalEquity)}, total cost
+                {' '}{formatCurrency(tornado.base.totalCost)} (payments and down payment through the term, less final
+                equity).
+            </p>
+
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
+                {SENSITIVITY_INPUTS.map((input) => (
+                    <label key={input.key} className="block text-sm font-semibold text-gray-700">
+                        {input.label} ± {UNIT_LABELS[input.unit]}
+                        <NumberInput
+                            step={input.unit === 'points' ? 0.25 : 1}
+                            value={swings[input.key]}
+                            onChange={(value) => setSwings({ ...swings, [input.key]: value })}
+                            className="mt-1 w-full px-2 py-1 border border-gray-300 rounded font-normal"
+                        />
+                    </label>
+                ))}
+            </div>
+
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Change in {metricLabel} (tornado)</h4>
+            <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={tornadoData} layout="vertical" stackOffset="sign" margin={{ left: 20 }}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#e0e4e7" />
+                        <XAxis type="number" stroke="#6b7280" tick={{ fontSize: 12 }} tickFormatter={formatCompactCurrency} />
+                        <YAxis type="category" dataKey="label" stroke="#6b7280" tick={{ fontSize: 12 }} width={120} />
+                        <Tooltip
+                            formatter={formatTooltip}
+                            contentStyle={{
+                                backgroundColor: '#f8fafc',
+                                border: '1px solid #e2e8f0',
+                                borderRadius: '8px'
+                            }}
+                        />
+                        <Legend verticalAlign="bottom" height={36} />
+                        <ReferenceLine x={0} stroke="#6b7280" />
+                        <Bar dataKey="low" stackId="swing" name="Input lowered" fill="#60a5fa" />
+                        <Bar dataKey="high" stackId="swing" name="Input raised" fill="#f97316" />
+                    </BarChart>
+                </ResponsiveContainer>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4 mt-6 mb-2">
+                <h4 className="text-sm font-semibold text-gray-700">{metricLabel}: two-way</h4>
+                <label className="text-sm text-gray-600">
+                    Rows:
+                    <select
+                        value={rowKey}
+                        onChange={(e) => setRowKey(e.target.value)}
+                        className="ml-2 px-2 py-1 border border-gray-300 rounded-md"
+                    >
+                        {SENSITIVITY_INPUTS.filter((input) => input.key !== columnKey).map((input) => (
+                            <option key={input.key} value={input.key}>{input.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="text-sm text-gray-600">
+                    Columns:
+                    <select
+                        value={columnKey}
+                        onChange={(e) => setColumnKey(e.target.value)}
+                        className="ml-2 px-2 py-1 border border-gray-300 rounded-md"
+                    >
+                        {SENSITIVITY_INPUTS.filter((input) => input.key !== rowKey).map((input) => (
+                            <option key={input.key} value={input.key}>{input.label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="min-w-full text-sm text-center">
+                    <thead>
+                        <tr className="text-gray-600">
+                            <th className="px-3 py-2 text-left font-semibold">
+                                {findSensitivityInput(rowKey).label} ↓ / {findSensitivityInput(columnKey).label} →
+                            </th>
+                            {heatmap.columns.map((column, columnIndex) => (
+                                <th key={columnIndex} className="px-3 py-2 font-semibold">{column}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {heatmap.rows.map((row, rowIndex) => (
+                            <tr key={rowIndex}>
+                                <th className="px-3 py-2 text-left font-semibold text-gray-600">{row}</th>
+                                {heatmap.cells[rowIndex].map((value, columnIndex) => {
+                                    const isBase = rowIndex === centerRow && columnIndex === centerColumn;
+                                    return (
+                                        <td
+                                            key={columnIndex}
+                                            className={`px-3 py-2 ${isBase ? 'font-bold ring-2 ring-inset ring-gray-700' : ''}`}
+                                            style={{ backgroundColor: cellColor(value - baseCell, maxDiff, higherIsBetter) }}
+                                        >
+                                            {formatCurrency(value)}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default SensitivityAnalysis;
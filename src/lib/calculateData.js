@@ -0,0 +1,223 @@
+import { depreciateValue } from './depreciation';
+
+/**
+ * Pure depreciation / amortization engine behind the chart.
+ *
+ * Takes a scenario ({ depreciationModel, depreciationRate, loanTerm,
+ * interestRate, purchasePrice, numVehicles } plus the optional purchase
+ * costs and loan events below) and returns the month-by-month projection
+ * used by VehicleDepreciationApp. The projection runs for `horizon` months,
+ * which defaults to 12 months past the end of the loan.
+ *
+ * Loan events are per vehicle, like the purchase price:
+ * - extraPayments: [{ month, amount, repeatEvery }] of extra principal,
+ *   paid in `month` and then every `repeatEvery` months (0 = one-off) while
+ *   a balance remains. The level payment is unchanged, so the loan simply
+ *   pays off sooner.
+ * - balloonPayment: lowers the level payment and is due with the last
+ *   payment of the original term.
+ * - refinance: { month, interestRate, loanTerm } re-amortizes whatever is
+ *   owed after that month's payment over a new term at a new rate. It
+ *   replaces the original loan, balloon included.
+ *
+ * `rateAdjustments` turns the loan into a variable-rate one: entry `month`
+ * is added (in percentage points) to the rate charged that month, and the
+ * payment is re-amortized over the months left so the loan still ends on
+ * schedule. Used by the Monte Carlo simulation.
+ */
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+export const calculateMonthlyPayment = (principal, annualRate, termMonths, balloon = 0) => {
+    const monthlyRate = annualRate / 100 / 12;
+    if (monthlyRate === 0) {
+        return (principal - balloon) / termMonths;
+    }
+    const factor = Math.pow(1 + monthlyRate, termMonths);
+    return (principal * factor - balloon) * monthlyRate / (factor - 1);
+};
+
+// A refinance only counts if it happens while the original loan is running.
+const activeRefinance = ({ refinance, loanTerm }) => (
+    refinance && refinance.month > 0 && refinance.month < loanTerm ? refinance : null
+);
+
+/**
+ * Last scheduled payment month of the loan, after any refinance.
+ */
+export const loanEndMonth = (scenario) => {
+    const refinance = activeRefinance(scenario);
+    return refinance ? refinance.month + refinance.loanTerm : scenario.loanTerm;
+};
+
+/**
+ * Total extra principal (per vehicle) scheduled for `month`.
+ */
+export const extraPaymentForMonth = (extraPayments = [], month) => extraPayments.reduce((total, extra) => {
+    const isDue = extra.repeatEvery > 0
+        ? month >= extra.month && (month - extra.month) % extra.repeatEvery === 0
+        : month === extra.month;
+    return isDue ? total + extra.amount : total;
+}, 0);
+
+/**
+ * Net amount financed for one vehicle. Sales tax is charged on the price
+ * less the trade-in credit; the down payment is either a percent of the
+ * price or a flat dollar amount.
+ */
+export const calculateFinancedAmount = ({
+    purchasePrice,
+    downPayment = 0,
+    downPaymentType = 'percent',
+    tradeInCredit = 0,
+    salesTaxRate = 0,
+    fees = 0
+}) => {
+    const downPaymentAmount = downPaymentType === 'percent'
+        ? purchasePrice * downPayment / 100
+        : downPayment;
+    const salesTax = Math.max(0, purchasePrice - tradeInCredit) * salesTaxRate / 100;
+    const financed = Math.max(0, purchasePrice + salesTax + fees - downPaymentAmount - tradeInCredit);
+
+    return {
+        downPayment: downPaymentAmount,
+        tradeInCredit,
+        salesTax,
+        fees,
+        financed
+    };
+};
+
+export const calculateData = (scenario) => {
+    const {
+        depreciationModel,
+        depreciationRate,
+        loanTerm,
+        interestRate,
+        purchasePrice,
+        numVehicles,
+        extraPayments = [],
+        balloonPayment = 0,
+        rateAdjustments = null,
+        horizon = loanEndMonth(scenario) + 12
+    } = scenario;
+    const refinance = activeRefinance(scenario);
+
+    // Step 1: Calculate fleet totals
+    const perVehicle = calculateFinancedAmount(scenario);
+    const totalFleetValue = numVehicles * purchasePrice;
+    const totalLoanAmount = numVehicles * perVehicle.financed;
+
+    // Step 2: Calculate monthly payment
+    const totalBalloon = numVehicles * Math.min(balloonPayment, perVehicle.financed);
+    const totalMonthlyPayment = calculateMonthlyPayment(totalLoanAmount, interestRate, loanTerm, totalBalloon);
+    const paymentPerVehicle = totalMonthlyPayment / numVehicles;
+    let loanRate = interestRate;
+    let monthlyRate = loanRate / 100 / 12;
+    let levelPayment = totalMonthlyPayment;
+    let balloonDue = totalBalloon;
+    let loanEnd = loanTerm;
+
+    const depreciationOptions = {
+        heavyUseTiers: scenario.heavyUseTiers,
+        monthlyMiles: scenario.monthlyMiles,
+        perMilePenalty: scenario.perMilePenalty,
+        salvageFloor: scenario.salvageFloor,
+        customCurve: scenario.customCurve,
+        numVehicles
+    };
+
+    // Step 3: Generate month-by-month data
+    const monthlyData = [];
+    let currentFleetValue = totalFleetValue;
+    let remainingLoanBalance = totalLoanAmount;
+    let cumulativeInterest = 0;
+
+    // Month 0 (initial)
+    monthlyData.push({
+        month: 0,
+        vehicleValue: currentFleetValue,
+        loanBalance: remainingLoanBalance,
+        equity: Math.round(currentFleetValue - remainingLoanBalance),
+        monthlyPayment: totalMonthlyPayment,
+        payment: 0,
+        interestPayment: 0,
+        principalPayment: 0,
+        extraPayment: 0,
+        cumulativeInterest: 0,
+        cumulativeDepreciation: 0
+    });
+
+    // Calculate each month
+    for (let month = 1; month <= horizon; month++) {
+        currentFleetValue = depreciateValue(
+            depreciationModel, depreciationRate, month, currentFleetValue, totalFleetValue, depreciationOptions
+        );
+
+        // Loan payment
+        let interestPayment = 0;
+        let principalPayment = 0;
+        let extraPayment = 0;
+        if (month <= loanEnd && remainingLoanBalance > 0) {
+            if (rateAdjustments) {
+                const rate = Math.max(0, loanRate + (rateAdjustments[month] || 0));
+                monthlyRate = rate / 100 / 12;
+                levelPayment = calculateMonthlyPayment(remainingLoanBalance, rate, loanEnd - month + 1, balloonDue);
+            }
+            interestPayment = remainingLoanBalance * monthlyRate;
+            principalPayment = Math.min(remainingLoanBalance, levelPayment - interestPayment);
+            remainingLoanBalance -= principalPayment;
+
+            extraPayment = Math.min(remainingLoanBalance, numVehicles * extraPaymentForMonth(extraPayments, month));
+            // Whatever is still owed on the final payment is the balloon.
+            if (month === loanEnd) extraPayment = remainingLoanBalance;
+            remainingLoanBalance = Math.max(0, remainingLoanBalance - extraPayment);
+            cumulativeInterest += interestPayment;
+        }
+
+        const equity = currentFleetValue - remainingLoanBalance;
+
+        monthlyData.push({
+            month: month,
+            vehicleValue: Math.round(currentFleetValue),
+            loanBalance: Math.round(remainingLoanBalance),
+            equity: Math.round(equity),
+            monthlyPayment: levelPayment,
+            payment: roundCents(interestPayment + principalPayment + extraPayment),
+            interestPayment: roundCents(interestPayment),
+            principalPayment: roundCents(principalPayment + extraPayment),
+            extraPayment: roundCents(extraPayment),
+            cumulativeInterest: roundCents(cumulativeInterest),
+            cumulativeDepreciation: Math.round(totalFleetValue - currentFleetValue)
+        });
+
+        // Refinance: re-amortize what is left from the following month.
+        if (refinance && month === refinance.month) {
+            loanRate = refinance.interestRate;
+            monthlyRate = loanRate / 100 / 12;
+            balloonDue = 0;
+            loanEnd = refinance.month + refinance.loanTerm;
+            levelPayment = remainingLoanBalance > 0
+                ? calculateMonthlyPayment(remainingLoanBalance, refinance.interestRate, refinance.loanTerm)
+                : 0;
+        }
+    }
+
+    return {
+        data: monthlyData,
+        monthlyPayment: totalMonthlyPayment,
+        paymentPerVehicle: paymentPerVehicle,
+        totalLoan: totalLoanAmount,
+        totalInterest: cumulativeInterest,
+        fleetValue: totalFleetValue,
+        downPayment: numVehicles * perVehicle.downPayment,
+        tradeInCredit: numVehicles * perVehicle.tradeInCredit,
+        salesTax: numVehicles * perVehicle.salesTax,
+        fees: numVehicles * perVehicle.fees,
+        loanTerm,
+        endOfTermMonth: loanEnd,
+        numVehicles
+    };
+};
+
+export default calculateData;
@@ -0,0 +1,266 @@
+import {
+    calculateData, calculateFinancedAmount, calculateMonthlyPayment, extraPaymentForMonth, loanEndMonth
+} from './calculateData';
+
+const baseScenario = {
+    depreciationModel: 'monthly',
+    depreciationRate: 1.0,
+    loanTerm: 60,
+    interestRate: 6.8,
+    purchasePrice: 65000,
+    numVehicles: 1
+};
+
+const pick = (result, months, key) => months.map((month) => result.data[month][key]);
+
+describe('calculateMonthlyPayment', () => {
+    test('uses the standard annuity formula', () => {
+        expect(calculateMonthlyPayment(65000, 6.8, 60)).toBeCloseTo(1280.9533, 4);
+    });
+
+    test('splits the principal evenly when the rate is zero', () => {
+        expect(calculateMonthlyPayment(12000, 0, 48)).toBe(250);
+        expect(calculateMonthlyPayment(12000, 0, 48, 2400)).toBe(200);
+    });
+});
+
+describe('calculateFinancedAmount', () => {
+    test('finances the full price when there are no purchase costs', () => {
+        expect(calculateFinancedAmount({ purchasePrice: 65000 }).financed).toBe(65000);
+    });
+
+    test('adds tax and fees and subtracts a percent down payment and trade-in', () => {
+        const result = calculateFinancedAmount({
+            purchasePrice: 50000,
+            downPayment: 10,
+            downPaymentType: 'percent',
+            tradeInCredit: 10000,
+            salesTaxRate: 8,
+            fees: 1500
+        });
+
+        expect(result.downPayment).toBe(5000);
+        expect(result.salesTax).toBeCloseTo(3200);
+        expect(result.financed).toBeCloseTo(50000 + 3200 + 1500 - 5000 - 10000);
+    });
+
+    test('accepts a dollar down payment and never goes below zero', () => {
+        expect(calculateFinancedAmount({ purchasePrice: 20000, downPayment: 4000, downPaymentType: 'dollars' }).financed)
+            .toBe(16000);
+        expect(calculateFinancedAmount({ purchasePrice: 20000, downPayment: 25000, downPaymentType: 'dollars' }).financed)
+            .toBe(0);
+    });
+});
+
+describe('calculateData', () => {
+    test('returns the fleet totals and payment breakdown', () => {
+        const result = calculateData({ ...baseScenario, numVehicles: 4 });
+
+        expect(result.fleetValue).toBe(260000);
+        expect(result.totalLoan).toBe(260000);
+        expect(result.monthlyPayment).toBeCloseTo(1280.9533 * 4, 3);
+        expect(result.paymentPerVehicle).toBeCloseTo(1280.9533, 4);
+    });
+
+    test('starts at month 0 with zero equity', () => {
+        const result = calculateData(baseScenario);
+
+        expect(result.data[0]).toEqual({
+            month: 0,
+            vehicleValue: 65000,
+            loanBalance: 65000,
+            equity: 0,
+            monthlyPayment: result.monthlyPayment,
+            payment: 0,
+            interestPayment: 0,
+            principalPayment: 0,
+            extraPayment: 0,
+            cumulativeInterest: 0,
+            cumulativeDepreciation: 0
+        });
+    });
+
+    test('keeps the interest / principal split and running totals', () => {
+        const result = calculateData(baseScenario);
+        const [, first] = result.data;
+
+        expect(first.interestPayment).toBeCloseTo(65000 * 0.068 / 12, 2);
+        expect(first.interestPayment + first.principalPayment).toBeCloseTo(result.monthlyPayment, 2);
+        expect(first.cumulativeDepreciation).toBe(650);
+
+        const paidPrincipal = result.data.reduce((sum, row) => sum + row.principalPayment, 0);
+        expect(paidPrincipal).toBeCloseTo(65000, 0);
+        expect(result.data[60].cumulativeInterest).toBeCloseTo(result.monthlyPayment * 60 - 65000, 0);
+        expect(result.totalInterest).toBeCloseTo(result.data[60].cumulativeInterest, 1);
+        expect(result.data[61].payment).toBe(0);
+        expect(result.data[72].cumulativeInterest).toBe(result.data[60].cumulativeInterest);
+    });
+
+    test('pins the monthly curve', () => {
+        const result = calculateData(baseScenario);
+
+        expect(pick(result, [1, 12, 24, 36, 60, 72], 'vehicleValue'))
+            .toEqual([64350, 57615, 51069, 45267, 35565, 31524]);
+        expect(pick(result, [1, 12, 24, 36, 60, 72], 'loanBalance'))
+            .toEqual([64087, 53701, 41609, 28668, 0, 0]);
+        expect(pick(result, [1, 12, 24, 36, 60, 72], 'equity'))
+            .toEqual([263, 3914, 9460, 16599, 35565, 31524]);
+    });
+
+    test('pins the annual curve', () => {
+        const result = calculateData({ ...baseScenario, depreciationModel: 'annual', depreciationRate: 15 });
+
+        expect(pick(result, [1, 12, 24, 36, 60, 72], 'vehicleValue'))
+            .toEqual([64126, 55250, 46962, 39918, 28841, 24515]);
+        expect(pick(result, [1, 12, 24, 36, 60, 72], 'equity'))
+            .toEqual([38, 1549, 5354, 11250, 28841, 24515]);
+    });
+
+    test('pins the heavy use curve, including early negative equity', () => {
+        const result = calculateData({ ...baseScenario, depreciationModel: 'heavyuse' });
+
+        expect(pick(result, [1, 6, 12, 24, 36, 60, 72], 'vehicleValue'))
+            .toEqual([63700, 57580, 52588, 45496, 40327, 31684, 28084]);
+        expect(pick(result, [1, 6, 12, 24, 36, 60, 72], 'equity'))
+            .toEqual([-387, -1866, -1113, 3887, 11658, 31684, 28084]);
+    });
+
+    test('amortizes the net financed amount and depreciates the purchase price', () => {
+        const result = calculateData({
+            ...baseScenario,
+            numVehicles: 2,
+            downPayment: 20,
+            tradeInCredit: 5000
+        });
+
+        expect(result.fleetValue).toBe(130000);
+        expect(result.totalLoan).toBe(2 * (65000 - 13000 - 5000));
+        expect(result.downPayment).toBe(26000);
+        expect(result.tradeInCredit).toBe(10000);
+        expect(result.data[0].vehicleValue).toBe(130000);
+        expect(result.data[0].equity).toBe(36000);
+        expect(result.monthlyPayment).toBeCloseTo(calculateMonthlyPayment(94000, 6.8, 60), 6);
+    });
+
+    test('shows negative starting equity when taxes and fees are rolled in', () => {
+        const result = calculateData({ ...baseScenario, salesTaxRate: 7, fees: 900 });
+
+        expect(result.totalLoan).toBeCloseTo(65000 * 1.07 + 900);
+        expect(result.data[0].equity).toBe(-5450);
+    });
+
+    test('applies the mileage model with its salvage floor', () => {
+        const result = calculateData({
+            ...baseScenario,
+            depreciationModel: 'mileage',
+            depreciationRate: 10,
+            monthlyMiles: 3000,
+            perMilePenalty: 0.15,
+            salvageFloor: 30
+        });
+
+        expect(result.data[12].vehicleValue).toBe(Math.round(65000 * 0.9 - 0.15 * 36000));
+        expect(result.data[72].vehicleValue).toBe(19500);
+    });
+
+    test('amortizes linearly when the interest rate is zero', () => {
+        const result = calculateData({ ...baseScenario, interestRate: 0, loanTerm: 48, numVehicles: 4 });
+
+        expect(result.monthlyPayment).toBeCloseTo(5416.6667, 4);
+        expect(result.paymentPerVehicle).toBeCloseTo(1354.1667, 4);
+        expect(result.data[24].loanBalance).toBe(130000);
+        expect(result.data[48].loanBalance).toBe(0);
+    });
+
+    test('projects 12 months past the end of the loan term', () => {
+        const result = calculateData({ ...baseScenario, loanTerm: 36 });
+
+        expect(result.data).toHaveLength(36 + 12 + 1);
+        expect(result.data[result.data.length - 1].month).toBe(48);
+        result.data.slice(36).forEach((row) => {
+            expect(row.loanBalance).toBe(0);
+            expect(row.equity).toBe(row.vehicleValue);
+        });
+        expect(result.data[48].vehicleValue).toBeLessThan(result.data[36].vehicleValue);
+    });
+});
+
+describe('extraPaymentForMonth', () => {
+    test('adds one-off and recurring extras that fall due', () => {
+        const extras = [{ month: 6, amount: 1000, repeatEvery: 0 }, { month: 3, amount: 100, repeatEvery: 3 }];
+
+        expect(extraPaymentForMonth(extras, 2)).toBe(0);
+        expect(extraPaymentForMonth(extras, 3)).toBe(100);
+        expect(extraPaymentForMonth(extras, 6)).toBe(1100);
+        expect(extraPaymentForMonth(extras, 7)).toBe(0);
+        expect(extraPaymentForMonth(undefined, 6)).toBe(0);
+    });
+});
+
+describe('loan events', () => {
+    const baseline = calculateData(baseScenario);
+
+    test('extra principal pays the loan off early and saves interest', () => {
+        const result = calculateData({
+            ...baseScenario,
+            numVehicles: 2,
+            extraPayments: [{ month: 1, amount: 5000, repeatEvery: 0 }, { month: 12, amount: 200, repeatEvery: 1 }]
+        });
+        const doubled = calculateData({ ...baseScenario, numVehicles: 2 });
+
+        expect(result.monthlyPayment).toBeCloseTo(doubled.monthlyPayment, 6);
+        expect(result.data[1].extraPayment).toBe(10000);
+        expect(result.data[1].principalPayment).toBeCloseTo(doubled.data[1].principalPayment + 10000, 2);
+        expect(result.data[12].extraPayment).toBe(400);
+        expect(result.totalInterest).toBeLessThan(doubled.totalInterest);
+        expect(result.data[50].loanBalance).toBe(0);
+        expect(result.data[50].equity).toBeGreaterThan(doubled.data[50].equity);
+    });
+
+    test('a balloon lowers the level payment and falls due with the last payment', () => {
+        const result = calculateData({ ...baseScenario, balloonPayment: 20000 });
+
+        expect(result.monthlyPayment).toBeCloseTo(calculateMonthlyPayment(65000, 6.8, 60, 20000), 6);
+        expect(result.monthlyPayment).toBeLessThan(baseline.monthlyPayment);
+        expect(result.data[59].loanBalance).toBeGreaterThan(20000);
+        expect(result.data[60].extraPayment).toBeCloseTo(20000, 0);
+        expect(result.data[60].loanBalance).toBe(0);
+        expect(result.totalInterest).toBeGreaterThan(baseline.totalInterest);
+    });
+
+    test('a refinance re-amortizes the remaining balance at the new rate and term', () => {
+        const refinance = { month: 24, interestRate: 4.8, loanTerm: 48 };
+        const result = calculateData({ ...baseScenario, refinance });
+        const balance = baseline.data[24].loanBalance;
+
+        expect(loanEndMonth({ ...baseScenario, refinance })).toBe(72);
+        expect(result.endOfTermMonth).toBe(72);
+        expect(result.data).toHaveLength(72 + 12 + 1);
+        expect(pick(result, [12, 24], 'loanBalance')).toEqual(pick(baseline, [12, 24], 'loanBalance'));
+        expect(result.data[25].monthlyPayment).toBeCloseTo(calculateMonthlyPayment(balance, 4.8, 48), 0);
+        expect(result.data[25].interestPayment).toBeCloseTo(balance * 0.048 / 12, 0);
+        expect(result.data[60].loanBalance).toBeGreaterThan(0);
+        expect(result.data[72].loanBalance).toBe(0);
+    });
+
+    test('ignores a refinance after the loan has ended', () => {
+        const result = calculateData({ ...baseScenario, refinance: { month: 60, interestRate: 3, loanTerm: 36 } });
+
+        expect(result.endOfTermMonth).toBe(60);
+        expect(result.data).toEqual(baseline.data);
+    });
+
+    test('rate adjustments make the loan variable-rate but keep it on schedule', () => {
+        const flat = calculateData({ ...baseScenario, rateAdjustments: [] });
+        const rateAdjustments = Array.from({ length: 61 }, (_, month) => (month > 12 ? 2 : 0));
+        const result = calculateData({ ...baseScenario, rateAdjustments });
+        const balance = baseline.data[12].loanBalance;
+
+        expect(pick(flat, [12, 30, 60], 'loanBalance')).toEqual(pick(baseline, [12, 30, 60], 'loanBalance'));
+        expect(pick(result, [1, 12], 'loanBalance')).toEqual(pick(baseline, [1, 12], 'loanBalance'));
+        expect(result.data[13].monthlyPayment).toBeCloseTo(calculateMonthlyPayment(balance, 8.8, 48), 0);
+        expect(result.data[13].interestPayment).toBeCloseTo(balance * 0.088 / 12, 0);
+        expect(result.data[60].loanBalance).toBe(0);
+        expect(result.totalInterest).toBeGreaterThan(baseline.totalInterest);
+    });
+});
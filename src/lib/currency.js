@@ -0,0 +1,135 @@
+/**
+ * Currency and locale for every money display, plus the optional fixed
+ * exchange-rate table that lets a mixed-currency fleet report in one
+ * currency. All amounts in the engine are plain numbers; conversion happens
+ * once on the inputs and formatting once at display time.
+ */
+
+export const CURRENCIES = ['USD', 'CAD', 'EUR', 'GBP'];
+
+export const LOCALE_OPTIONS = [
+    { locale: 'en-US', currency: 'USD', label: 'United States (USD)' },
+    { locale: 'en-CA', currency: 'CAD', label: 'Canada – English (CAD)' },
+    { locale: 'fr-CA', currency: 'CAD', label: 'Canada – Français (CAD)' },
+    { locale: 'de-DE', currency: 'EUR', label: 'Deutschland (EUR)' },
+    { locale: 'fr-FR', currency: 'EUR', label: 'France (EUR)' },
+    { locale: 'en-IE', currency: 'EUR', label: 'Ireland (EUR)' },
+    { locale: 'en-GB', currency: 'GBP', label: 'United Kingdom (GBP)' }
+];
+
+export const DEFAULT_CURRENCY_SETTINGS = {
+    locale: 'en-US',
+    currency: 'USD',
+    // Units of each currency per 1 USD.
+    exchangeRates: { USD: 1, CAD: 1.37, EUR: 0.92, GBP: 0.79 }
+};
+
+export const createCurrencyFormatter = ({ locale, currency }) => (value, fractionDigits = 0) => (
+    new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    }).format(value)
+);
+
+/**
+ * Short form for axis ticks and slider bounds, in the locale's own
+ * compact notation: $65K, $1.3M, 65 k$, 1,2 Mio. €.
+ */
+export const createCompactFormatter = ({ locale, currency }) => (value) => (
+    new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency,
+        notation: 'compact',
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 1
+    }).format(value)
+);
+
+export const currencySymbol = ({ locale, currency }) => {
+    const parts = new Intl.NumberFormat(locale, { style: 'currency', currency }).formatToParts(0);
+    return parts.find((part) => part.type === 'currency').value;
+};
+
+export const convertAmount = (amount, from, to, exchangeRates) => {
+    if (from === to || !amount) return amount;
+    return amount / exchangeRates[from] * exchangeRates[to];
+};
+
+/**
+ * Restates a vehicle class's money inputs (price, per-mile penalty, extra
+ * payments, balloon) from its own currency into `currency`. Every class
+ * carries its own currency (USD unless set), so changing the reporting
+ * currency only ever converts.
+ */
+export const convertVehicleClass = (vehicleClass, currency, exchangeRates) => {
+    const from = vehicleClass.currency || DEFAULT_CURRENCY_SETTINGS.currency;
+    if (from === currency) return vehicleClass;
+    const convert = (amount) => convertAmount(amount, from, currency, exchangeRates);
+
+    return {
+        ...vehicleClass,
+        purchasePrice: convert(vehicleClass.purchasePrice),
+        perMilePenalty: convert(vehicleClass.perMilePenalty),
+        balloonPayment: convert(vehicleClass.balloonPayment),
+        extraPayments: (vehicleClass.extraPayments || []).map((extra) => ({ ...extra, amount: convert(extra.amount) }))
+    };
+};
+
+/**
+ * Restates the whole scenario in `currency`: every class, plus the
+ * fleet-wide purchase costs (trade-in, fees and a dollar down payment) from
+ * their own `purchaseCurrency`.
+ */
+export const convertFleetInputs = (fleetInputs, { currency, exchangeRates }) => {
+    const from = fleetInputs.purchaseCurrency || DEFAULT_CURRENCY_SETTINGS.currency;
+    const convert = (amount) => convertAmount(amount, from, currency, exchangeRates);
+
+    return {
+        ...fleetInputs,
+        vehicleClasses: fleetInputs.vehicleClasses.map((vehicleClass) => (
+            convertVehicleClass(vehicleClass, currency, exchangeRates)
+        )),
+        ...(from !== currency && {
+            downPayment: fleetInputs.downPaymentType === 'dollars' ? convert(fleetInputs.downPayment) : fleetInputs.downPayment,
+            tradeInCredit: convert(fleetInputs.tradeInCredit),
+            fees: convert(fleetInputs.fees)
+        })
+    };
+};
+
+/**
+ * Restates the lease and rental quotes (quoted payment, overage fee, rental
+ * rate) from `from` into `currency`.
+ */
+export const convertFinancingTerms = ({ lease, rental }, from, { currency, exchangeRates }) => {
+    const convert = (amount) => convertAmount(amount, from, currency, exchangeRates);
+    return {
+        lease: {
+            ...lease,
+            monthlyPayment: lease.monthlyPayment === null ? null : convert(lease.monthlyPayment),
+            overageFee: convert(lease.overageFee)
+        },
+        rental: { ...rental, monthlyRate: convert(rental.monthlyRate) }
+    };
+};
+
+/**
+ * Validates stored settings, falling back to the defaults piece by piece.
+ */
+export const sanitizeCurrencySettings = (raw) => {
+    const option = LOCALE_OPTIONS.find((candidate) => (
+        raw && candidate.locale === raw.locale && candidate.currency === raw.currency
+    ));
+    const exchangeRates = CURRENCIES.reduce((rates, code) => {
+        const rate = Number(raw?.exchangeRates?.[code]);
+        return { ...rates, [code]: Number.isFinite(rate) && rate > 0 ? rate : DEFAULT_CURRENCY_SETTINGS.exchangeRates[code] };
+    }, {});
+
+    return {
+        locale: option ? option.locale : DEFAULT_CURRENCY_SETTINGS.locale,
+        currency: option ? option.currency : DEFAULT_CURRENCY_SETTINGS.currency,
+        exchangeRates: { ...exchangeRates, USD: 1 }
+    };
+};
@@ -0,0 +1,126 @@
+import {
+    DEFAULT_CURRENCY_SETTINGS, convertAmount, convertFinancingTerms, convertFleetInputs, createCompactFormatter,
+    createCurrencyFormatter, currencySymbol, sanitizeCurrencySettings
+} from './currency';
+import { createVehicleClass } from './fleet';
+import { DEFAULT_LEASE_TERMS, DEFAULT_RENTAL_TERMS } from './leaseComparison';
+
+// Intl uses a narrow no-break space in some locales; normalise for readability.
+const normalise = (text) => text.replace(/[  ]/g, ' ');
+
+describe('formatters', () => {
+    test('format money for the chosen locale and currency', () => {
+        expect(createCurrencyFormatter({ locale: 'en-US', currency: 'USD' })(65000)).toBe('$65,000');
+        expect(createCurrencyFormatter({ locale: 'en-US', currency: 'USD' })(1280.953, 2)).toBe('$1,280.95');
+        expect(normalise(createCurrencyFormatter({ locale: 'de-DE', currency: 'EUR' })(65000))).toBe('65.000 €');
+        expect(normalise(createCurrencyFormatter({ locale: 'fr-CA', currency: 'CAD' })(1500.5, 2))).toBe('1 500,50 $');
+    });
+
+    test('use compact notation for axis ticks', () => {
+        const compact = createCompactFormatter({ locale: 'en-US', currency: 'USD' });
+
+        expect(compact(65000)).toBe('$65K');
+        expect(compact(1250000)).toBe('$1.3M');
+        expect(compact(-5000)).toBe('-$5K');
+        expect(compact(0)).toBe('$0');
+        expect(normalise(createCompactFormatter({ locale: 'de-DE', currency: 'EUR' })(1200000))).toBe('1,2 Mio. €');
+    });
+
+    test('find the currency symbol', () => {
+        expect(currencySymbol({ locale: 'en-US', currency: 'USD' })).toBe('$');
+        expect(currencySymbol({ locale: 'de-DE', currency: 'EUR' })).toBe('€');
+        expect(currencySymbol({ locale: 'en-US', currency: 'CAD' })).toBe('CA$');
+    });
+});
+
+describe('exchange rates', () => {
+    const { exchangeRates } = DEFAULT_CURRENCY_SETTINGS;
+
+    test('convert through the USD-based table', () => {
+        expect(convertAmount(100, 'USD', 'USD', exchangeRates)).toBe(100);
+        expect(convertAmount(100, 'USD', 'CAD', exchangeRates)).toBeCloseTo(137);
+        expect(convertAmount(137, 'CAD', 'EUR', exchangeRates)).toBeCloseTo(92);
+    });
+
+    test('restate each class in the reporting currency', () => {
+        const inputs = {
+            vehicleClasses: [
+                createVehicleClass({ purchasePrice: 65000 }),
+                createVehicleClass({
+                    id: 'class2',
+                    currency: 'CAD',
+                    purchasePrice: 137000,
+                    balloonPayment: 13700,
+                    extraPayments: [{ month: 12, amount: 1370, repeatEvery: 0 }]
+                })
+            ],
+            purchaseCurrency: 'CAD',
+            downPaymentType: 'dollars',
+            downPayment: 13700,
+            tradeInCredit: 2740,
+            fees: 685
+        };
+        const converted = convertFleetInputs(inputs, { currency: 'USD', exchangeRates });
+
+        expect(converted.vehicleClasses[0]).toBe(inputs.vehicleClasses[0]);
+        expect(converted.vehicleClasses[1].purchasePrice).toBeCloseTo(100000);
+        expect(converted.vehicleClasses[1].balloonPayment).toBeCloseTo(10000);
+        expect(converted.vehicleClasses[1].extraPayments[0].amount).toBeCloseTo(1000);
+        expect(converted.vehicleClasses[1].perMilePenalty).toBeCloseTo(0.1 / 1.37);
+        expect(converted.downPayment).toBeCloseTo(10000);
+        expect(converted.tradeInCredit).toBeCloseTo(2000);
+        expect(converted.fees).toBeCloseTo(500);
+    });
+
+    test('leave a percent down payment as a percent', () => {
+        const inputs = { vehicleClasses: [createVehicleClass()], downPaymentType: 'percent', downPayment: 20, fees: 500 };
+        const converted = convertFleetInputs(inputs, { currency: 'EUR', exchangeRates });
+
+        expect(converted.downPayment).toBe(20);
+        expect(converted.fees).toBeCloseTo(460);
+    });
+
+    test('convert default classes when the reporting currency changes', () => {
+        const converted = convertFleetInputs({ vehicleClasses: [createVehicleClass()] }, { currency: 'EUR', exchangeRates });
+
+        expect(createVehicleClass().currency).toBe('USD');
+        expect(converted.vehicleClasses[0].purchasePrice).toBeCloseTo(65000 * 0.92);
+    });
+});
+
+describe('convertFinancingTerms', () => {
+    test('restate the lease and rental money inputs', () => {
+        const { exchangeRates } = DEFAULT_CURRENCY_SETTINGS;
+        const converted = convertFinancingTerms(
+            { lease: { ...DEFAULT_LEASE_TERMS, monthlyPayment: 1370 }, rental: DEFAULT_RENTAL_TERMS },
+            'CAD',
+            { currency: 'USD', exchangeRates }
+        );
+
+        expect(converted.lease.monthlyPayment).toBeCloseTo(1000);
+        expect(converted.lease.overageFee).toBeCloseTo(0.25 / 1.37);
+        expect(converted.lease.residualPercent).toBe(DEFAULT_LEASE_TERMS.residualPercent);
+        expect(converted.rental.monthlyRate).toBeCloseTo(1800 / 1.37);
+        expect(convertFinancingTerms(
+            { lease: DEFAULT_LEASE_TERMS, rental: DEFAULT_RENTAL_TERMS },
+            'CAD',
+            { currency: 'USD', exchangeRates }
+        ).lease.monthlyPayment).toBeNull();
+    });
+});
+
+describe('sanitizeCurrencySettings', () => {
+    test('keeps known locales and positive rates', () => {
+        expect(sanitizeCurrencySettings(null)).toEqual(DEFAULT_CURRENCY_SETTINGS);
+        expect(sanitizeCurrencySettings({
+            locale: 'fr-CA',
+            currency: 'CAD',
+            exchangeRates: { USD: 2, CAD: 1.4, EUR: -1 }
+        })).toEqual({
+            locale: 'fr-CA',
+            currency: 'CAD',
+            exchangeRates: { ...DEFAULT_CURRENCY_SETTINGS.exchangeRates, CAD: 1.4 }
+        });
+        expect(sanitizeCurrencySettings({ locale: 'en-US', currency: 'EUR' }).currency).toBe('USD');
+    });
+});
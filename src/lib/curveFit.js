@@ -0,0 +1,199 @@
+/**
+ * Fits a depreciation curve to historical resale data. Points are
+ * { ageMonths, mileage, pricePercent } where pricePercent is the sale price
+ * as a percent of the original price.
+ *
+ * Two fits are offered:
+ *  - exponential: pricePercent = 100 * exp(a + b * age + c * mileage),
+ *    a least-squares fit on the log of the price (mileage is dropped when
+ *    the data has none);
+ *  - piecewise: the mean price in each `knotSpacing`-month age bucket,
+ *    linearly interpolated between buckets.
+ * Both report R² against the raw percentages so they can be compared.
+ */
+
+export const CURVE_TYPES = ['exponential', 'piecewise'];
+
+const HEADER_ALIASES = {
+    ageMonths: ['age', 'agemonths', 'age_months', 'months', 'age (months)'],
+    mileage: ['mileage', 'miles', 'odometer'],
+    pricePercent: ['price', 'pricepercent', 'price_percent', 'percent', 'sale price %', 'sale_price_pct', 'resale %']
+};
+
+const parseNumber = (text) => Number(String(text).replace(/[%,$\s"]/g, ''));
+
+const splitCsvLine = (line) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (const char of line) {
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (!quoted && (char === ',' || char === ';' || char === '\t')) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+};
+
+/**
+ * Parses CSV text with columns (age in months, mileage, sale price as % of
+ * original). A header row is optional; when present the columns may be in
+ * any order and a missing mileage column reads as 0 miles. Returns the
+ * valid points plus one message per skipped line, numbered as in the file.
+ */
+export const parseResaleCSV = (text) => {
+    const lines = text.split(/\r?\n/)
+        .map((line, index) => ({ text: line.trim(), number: index + 1 }))
+        .filter((line) => line.text && !line.text.startsWith('#'));
+    const points = [];
+    const errors = [];
+    let columns = { ageMonths: 0, mileage: 1, pricePercent: 2 };
+
+    if (lines.length && splitCsvLine(lines[0].text).some((cell) => isNaN(parseNumber(cell)))) {
+        const header = splitCsvLine(lines.shift().text).map((cell) => cell.toLowerCase());
+        const find = (key) => header.findIndex((cell) => HEADER_ALIASES[key].includes(cell));
+        const ageMonths = find('ageMonths');
+        const pricePercent = find('pricePercent');
+        columns = {
+            ageMonths: ageMonths === -1 ? columns.ageMonths : ageMonths,
+            mileage: find('mileage'),
+            pricePercent: pricePercent === -1 ? columns.pricePercent : pricePercent
+        };
+    }
+
+    lines.forEach(({ text: line, number }) => {
+        const cells = splitCsvLine(line);
+        const point = {
+            ageMonths: parseNumber(cells[columns.ageMonths]),
+            mileage: columns.mileage === -1 ? 0 : parseNumber(cells[columns.mileage] ?? 0),
+            pricePercent: parseNumber(cells[columns.pricePercent])
+        };
+        if ([point.ageMonths, point.mileage, point.pricePercent].some((value) => isNaN(value))) {
+            errors.push(`Line ${number}: could not read "${line}"`);
+        } else if (point.ageMonths < 0 || point.pricePercent <= 0) {
+            errors.push(`Line ${number}: age must be 0 or more and price above 0%`);
+        } else {
+            points.push(point);
+        }
+    });
+
+    return { points, errors };
+};
+
+const solveLinearSystem = (matrix, vector) => {
+    const size = vector.length;
+    const rows = matrix.map((row, index) => [...row, vector[index]]);
+
+    for (let column = 0; column < size; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < size; row++) {
+            if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+        }
+        if (Math.abs(rows[pivot][column]) < 1e-12) return null;
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+        for (let row = 0; row < size; row++) {
+            if (row === column) continue;
+            const factor = rows[row][column] / rows[column][column];
+            for (let k = column; k <= size; k++) rows[row][k] -= factor * rows[column][k];
+        }
+    }
+
+    return rows.map((row, index) => row[size] / row[index]);
+};
+
+export const rSquared = (points, predict) => {
+    const mean = points.reduce((sum, point) => sum + point.pricePercent, 0) / points.length;
+    const total = points.reduce((sum, point) => sum + (point.pricePercent - mean) ** 2, 0);
+    const residual = points.reduce((sum, point) => (
+        sum + (point.pricePercent - predict(point.ageMonths, point.mileage)) ** 2
+    ), 0);
+    return total === 0 ? 1 : 1 - residual / total;
+};
+
+export const fittedPercent = (curve, ageMonths, mileage = 0) => {
+    if (curve.type === 'exponential') {
+        return 100 * Math.exp(curve.intercept + curve.ageRate * ageMonths + curve.mileRate * mileage);
+    }
+    const { knots } = curve;
+    if (ageMonths <= knots[0].ageMonths) return knots[0].pricePercent;
+    for (let index = 1; index < knots.length; index++) {
+        const right = knots[index];
+        if (ageMonths <= right.ageMonths) {
+            const left = knots[index - 1];
+            const share = (ageMonths - left.ageMonths) / (right.ageMonths - left.ageMonths);
+            return left.pricePercent + share * (right.pricePercent - left.pricePercent);
+        }
+    }
+    // Past the data, carry on along the last segment's slope but never below zero.
+    const last = knots[knots.length - 1];
+    const before = knots[knots.length - 2];
+    if (!before) return last.pricePercent;
+    const slope = (last.pricePercent - before.pricePercent) / (last.ageMonths - before.ageMonths);
+    return Math.max(0, last.pricePercent + slope * (ageMonths - last.ageMonths));
+};
+
+/**
+ * Returns null when there is too little data or the fit has value rising
+ * with age or mileage.
+ */
+export const fitExponential = (points) => {
+    if (points.length < 2) return null;
+    const useMileage = new Set(points.map((point) => point.mileage)).size > 1 && points.length >= 3;
+    const features = (point) => (useMileage ? [1, point.ageMonths, point.mileage] : [1, point.ageMonths]);
+    const size = useMileage ? 3 : 2;
+    const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+    const target = new Array(size).fill(0);
+
+    points.forEach((point) => {
+        const x = features(point);
+        const y = Math.log(point.pricePercent / 100);
+        for (let i = 0; i < size; i++) {
+            target[i] += x[i] * y;
+            for (let j = 0; j < size; j++) normal[i][j] += x[i] * x[j];
+        }
+    });
+
+    const coefficients = solveLinearSystem(normal, target);
+    if (!coefficients) return null;
+
+    const curve = {
+        type: 'exponential',
+        intercept: coefficients[0],
+        ageRate: coefficients[1],
+        mileRate: useMileage ? coefficients[2] : 0
+    };
+    // A value that grows with age or miles is a bad fit (usually a misread
+    // column) and would blow up when projected forward.
+    if (curve.ageRate > 0 || curve.mileRate > 0) return null;
+    return { ...curve, rSquared: rSquared(points, (age, mileage) => fittedPercent(curve, age, mileage)) };
+};
+
+export const fitPiecewiseLinear = (points, knotSpacing = 12) => {
+    if (points.length < 2) return null;
+    const buckets = new Map();
+    points.forEach((point) => {
+        const bucket = Math.round(point.ageMonths / knotSpacing);
+        const entry = buckets.get(bucket) || { ageTotal: 0, priceTotal: 0, count: 0 };
+        entry.ageTotal += point.ageMonths;
+        entry.priceTotal += point.pricePercent;
+        entry.count += 1;
+        buckets.set(bucket, entry);
+    });
+
+    const knots = [...buckets.keys()].sort((a, b) => a - b).map((bucket) => {
+        const entry = buckets.get(bucket);
+        return { ageMonths: entry.ageTotal / entry.count, pricePercent: entry.priceTotal / entry.count };
+    });
+    const curve = { type: 'piecewise', knots };
+    return { ...curve, rSquared: rSquared(points, (age) => fittedPercent(curve, age)) };
+};
+
+export const fitResaleCurves = (points) => ({
+    exponential: fitExponential(points),
+    piecewise: fitPiecewiseLinear(points)
+});
@@ -0,0 +1,114 @@
+import { fitExponential, fitPiecewiseLinear, fittedPercent, parseResaleCSV } from './curveFit';
+import { calculateData } from './calculateData';
+
+const exponentialPoints = [0, 12, 24, 36, 48, 60].map((ageMonths) => ({
+    ageMonths,
+    mileage: 0,
+    pricePercent: 90 * Math.exp(-0.015 * ageMonths)
+}));
+
+describe('parseResaleCSV', () => {
+    test('reads headerless rows of age, mileage and price percent', () => {
+        const { points, errors } = parseResaleCSV('12,30000,78\n24,61000,64.5%\n');
+
+        expect(errors).toEqual([]);
+        expect(points).toEqual([
+            { ageMonths: 12, mileage: 30000, pricePercent: 78 },
+            { ageMonths: 24, mileage: 61000, pricePercent: 64.5 }
+        ]);
+    });
+
+    test('maps columns from a header and reports bad lines', () => {
+        const { points, errors } = parseResaleCSV('price,age,miles\n80,12,"25,000"\nabc,1,2\n70,-1,0');
+
+        expect(points).toEqual([{ ageMonths: 12, mileage: 25000, pricePercent: 80 }]);
+        expect(errors).toHaveLength(2);
+    });
+
+    test('reads no mileage when the header has no mileage column', () => {
+        const { points, errors } = parseResaleCSV('age,price\n12,80\n24,66\n36,58\n48,50');
+
+        expect(errors).toEqual([]);
+        expect(points.map((point) => point.mileage)).toEqual([0, 0, 0, 0]);
+        expect(points[1]).toEqual({ ageMonths: 24, mileage: 0, pricePercent: 66 });
+        expect(fitExponential(points).mileRate).toBe(0);
+    });
+
+    test('numbers errors by their line in the file', () => {
+        const { errors } = parseResaleCSV('# resale export\nage,miles,price\n\n12,1000,80\nbad,row,here\n24,2000,-5');
+
+        expect(errors).toEqual([
+            'Line 5: could not read "bad,row,here"',
+            'Line 6: age must be 0 or more and price above 0%'
+        ]);
+    });
+});
+
+describe('fitExponential', () => {
+    test('recovers an exact exponential curve', () => {
+        const curve = fitExponential(exponentialPoints);
+
+        expect(Math.exp(curve.intercept)).toBeCloseTo(0.9, 6);
+        expect(curve.ageRate).toBeCloseTo(-0.015, 6);
+        expect(curve.mileRate).toBe(0);
+        expect(curve.rSquared).toBeCloseTo(1, 6);
+        expect(fittedPercent(curve, 30)).toBeCloseTo(90 * Math.exp(-0.45), 4);
+    });
+
+    test('fits a mileage term when the data has mileage', () => {
+        const points = [];
+        [12, 24, 36].forEach((ageMonths) => [1000, 2500].forEach((monthlyMiles) => {
+            const mileage = ageMonths * monthlyMiles;
+            points.push({ ageMonths, mileage, pricePercent: 100 * Math.exp(-0.01 * ageMonths - 0.000002 * mileage) });
+        }));
+        const curve = fitExponential(points);
+
+        expect(curve.ageRate).toBeCloseTo(-0.01, 6);
+        expect(curve.mileRate).toBeCloseTo(-0.000002, 9);
+    });
+
+    test('rejects a fit where value rises with age or mileage', () => {
+        expect(fitExponential([
+            { ageMonths: 12, mileage: 0, pricePercent: 60 },
+            { ageMonths: 24, mileage: 0, pricePercent: 70 }
+        ])).toBeNull();
+        expect(fitExponential([
+            { ageMonths: 12, mileage: 80, pricePercent: 80 },
+            { ageMonths: 24, mileage: 66, pricePercent: 66 },
+            { ageMonths: 36, mileage: 58, pricePercent: 58 },
+            { ageMonths: 48, mileage: 50, pricePercent: 50 }
+        ])).toBeNull();
+    });
+});
+
+describe('fitPiecewiseLinear', () => {
+    test('averages each age bucket and interpolates between them', () => {
+        const curve = fitPiecewiseLinear([
+            { ageMonths: 12, mileage: 0, pricePercent: 80 },
+            { ageMonths: 12, mileage: 0, pricePercent: 76 },
+            { ageMonths: 24, mileage: 0, pricePercent: 66 },
+            { ageMonths: 36, mileage: 0, pricePercent: 58 }
+        ]);
+
+        expect(curve.knots.map((knot) => knot.pricePercent)).toEqual([78, 66, 58]);
+        expect(fittedPercent(curve, 18)).toBeCloseTo(72);
+        expect(fittedPercent(curve, 48)).toBeCloseTo(50);
+        expect(curve.rSquared).toBeGreaterThan(0.9);
+    });
+});
+
+describe('fitted depreciation model', () => {
+    test('drives the vehicle value from the fitted curve', () => {
+        const result = calculateData({
+            depreciationModel: 'custom',
+            depreciationRate: 1,
+            customCurve: fitExponential(exponentialPoints),
+            loanTerm: 36,
+            interestRate: 6,
+            purchasePrice: 50000,
+            numVehicles: 2
+        });
+
+        expect(result.data[24].vehicleValue).toBe(Math.round(100000 * 0.9 * Math.exp(-0.36)));
+    });
+});
@@ -0,0 +1,126 @@
+import { fittedPercent } from './curveFit';
+
+/**
+ * Depreciation models. Every model is a step function: given the month and
+ * last month's value it returns this month's value. `initialValue` is the
+ * value at month 0, for models that compound from the start instead.
+ */
+
+export const DEPRECIATION_MODELS = ['monthly', 'annual', 'heavyuse', 'mileage', 'custom'];
+
+export const DEPRECIATION_MODEL_LABELS = {
+    monthly: 'Monthly',
+    annual: 'Annual',
+    heavyuse: 'Heavy Use',
+    mileage: 'Mileage',
+    custom: 'Fitted'
+};
+
+// Models whose depreciationRate is a yearly percentage rather than monthly.
+export const ANNUAL_RATE_MODELS = ['annual', 'mileage'];
+
+// Heavy use: the base monthly rate is multiplied by the first tier whose
+// `throughMonth` has not passed yet, and by 1 after the last tier.
+export const DEFAULT_HEAVY_USE_TIERS = [
+    { throughMonth: 6, multiplier: 2 },
+    { throughMonth: 12, multiplier: 1.5 },
+    { throughMonth: 24, multiplier: 1.2 }
+];
+
+export const MAX_HEAVY_USE_MULTIPLIER = 10;
+
+export const DEFAULT_MILEAGE_OPTIONS = {
+    monthlyMiles: 2000,
+    perMilePenalty: 0.1,
+    salvageFloor: 10
+};
+
+export const heavyUseMultiplier = (month, tiers = DEFAULT_HEAVY_USE_TIERS) => {
+    const tier = tiers.find((candidate) => month <= candidate.throughMonth);
+    return tier ? tier.multiplier : 1;
+};
+
+/**
+ * Human-readable breakdown of the heavy use tiers, e.g.
+ * [{ label: 'First 6 months', rate: 2 }, ..., { label: 'After 24 months', rate: 1 }].
+ */
+export const describeHeavyUseTiers = (rate, tiers = DEFAULT_HEAVY_USE_TIERS) => {
+    const rows = tiers.map((tier, index) => {
+        const from = index === 0 ? 1 : tiers[index - 1].throughMonth + 1;
+        return {
+            label: index === 0 ? `First ${tier.throughMonth} months` : `Months ${from}-${tier.throughMonth}`,
+            rate: rate * tier.multiplier
+        };
+    });
+    const last = tiers[tiers.length - 1];
+    rows.push({ label: last ? `After ${last.throughMonth} months` : 'All months', rate });
+    return rows;
+};
+
+/**
+ * Mileage model: compounds an annual age rate from the initial value, then
+ * takes off `perMilePenalty` dollars for every mile driven by every vehicle,
+ * never going below `salvageFloor` percent of the initial value.
+ */
+export const mileageValue = (rate, month, initialValue, {
+    monthlyMiles = DEFAULT_MILEAGE_OPTIONS.monthlyMiles,
+    perMilePenalty = DEFAULT_MILEAGE_OPTIONS.perMilePenalty,
+    salvageFloor = DEFAULT_MILEAGE_OPTIONS.salvageFloor,
+    numVehicles = 1
+} = {}) => {
+    const ageValue = initialValue * Math.pow(1 - rate / 100, month / 12);
+    const mileagePenalty = perMilePenalty * monthlyMiles * month * numVehicles;
+    return Math.max(initialValue * salvageFloor / 100, ageValue - mileagePenalty);
+};
+
+export const depreciateValue = (model, rate, month, previousValue, initialValue, options = {}) => {
+    if (model === 'monthly') {
+        return previousValue * (1 - rate / 100);
+    }
+    if (model === 'annual') {
+        const years = month / 12;
+        return initialValue * Math.pow(1 - rate / 100, years);
+    }
+    if (model === 'heavyuse') {
+        const monthlyDepRate = rate / 100 * heavyUseMultiplier(month, options.heavyUseTiers);
+        return Math.max(0, previousValue * (1 - monthlyDepRate));
+    }
+    if (model === 'mileage') {
+        return mileageValue(rate, month, initialValue, options);
+    }
+    if (model === 'custom' && options.customCurve) {
+        // Fitted curves ignore the rate; mileage accrues at the class's monthly miles.
+        const mileage = (options.monthlyMiles ?? DEFAULT_MILEAGE_OPTIONS.monthlyMiles) * month;
+        return initialValue * fittedPercent(options.customCurve, month, mileage) / 100;
+    }
+    return previousValue;
+};
+
+// Fraction of the value left after `horizon` months, ignoring mileage
+// penalties and floors (the mileage model is treated as its age curve).
+const retainedFraction = (model, rate, horizon, heavyUseTiers) => {
+    const stepModel = model === 'mileage' ? 'annual' : model;
+    let value = 1;
+    for (let month = 1; month <= horizon; month++) {
+        value = depreciateValue(stepModel, rate, month, value, 1, { heavyUseTiers });
+    }
+    return value;
+};
+
+/**
+ * Converts a depreciation rate between models so the vehicle keeps the same
+ * share of its value after `horizon` months, e.g. 1%/month ≈ 11.4%/year.
+ * Fitted curves have no rate, so switching to or from them keeps the rate.
+ */
+export const convertDepreciationRate = (rate, fromModel, toModel, { horizon = 60, heavyUseTiers } = {}) => {
+    if (fromModel === toModel || fromModel === 'custom' || toModel === 'custom') return rate;
+    const target = retainedFraction(fromModel, rate, horizon, heavyUseTiers);
+    let low = 0;
+    let high = 100;
+    for (let iteration = 0; iteration < 60; iteration++) {
+        const mid = (low + high) / 2;
+        if (retainedFraction(toModel, mid, horizon, heavyUseTiers) > target) low = mid;
+        else high = mid;
+    }
+    return Math.round((low + high) / 2 * 100) / 100;
+};
@@ -0,0 +1,82 @@
+import { convertDepreciationRate, depreciateValue, describeHeavyUseTiers, heavyUseMultiplier, mileageValue } from './depreciation';
+
+describe('depreciateValue', () => {
+    test('heavy use applies 2x / 1.5x / 1.2x / 1x tiers', () => {
+        expect(depreciateValue('heavyuse', 1, 6, 100, 100)).toBeCloseTo(98);
+        expect(depreciateValue('heavyuse', 1, 7, 100, 100)).toBeCloseTo(98.5);
+        expect(depreciateValue('heavyuse', 1, 24, 100, 100)).toBeCloseTo(98.8);
+        expect(depreciateValue('heavyuse', 1, 25, 100, 100)).toBeCloseTo(99);
+    });
+
+    test('annual compounds from the initial value, not the previous month', () => {
+        expect(depreciateValue('annual', 15, 12, 1, 1000)).toBeCloseTo(850);
+    });
+
+    test('heavy use honours custom tiers', () => {
+        const tiers = [{ throughMonth: 3, multiplier: 3 }];
+
+        expect(depreciateValue('heavyuse', 1, 3, 100, 100, { heavyUseTiers: tiers })).toBeCloseTo(97);
+        expect(depreciateValue('heavyuse', 1, 4, 100, 100, { heavyUseTiers: tiers })).toBeCloseTo(99);
+    });
+
+    test('heavy use never drops below zero', () => {
+        const tiers = [{ throughMonth: 12, multiplier: 2 }];
+
+        expect(depreciateValue('heavyuse', 60, 1, 50000, 50000, { heavyUseTiers: tiers })).toBe(0);
+        expect(depreciateValue('heavyuse', 60, 2, 0, 50000, { heavyUseTiers: tiers })).toBe(0);
+    });
+});
+
+describe('heavyUseMultiplier', () => {
+    test('falls back to 1x after the last tier', () => {
+        expect(heavyUseMultiplier(1)).toBe(2);
+        expect(heavyUseMultiplier(12)).toBe(1.5);
+        expect(heavyUseMultiplier(100)).toBe(1);
+        expect(heavyUseMultiplier(1, [])).toBe(1);
+    });
+});
+
+describe('describeHeavyUseTiers', () => {
+    test('labels each tier from the same definition the math uses', () => {
+        expect(describeHeavyUseTiers(1)).toEqual([
+            { label: 'First 6 months', rate: 2 },
+            { label: 'Months 7-12', rate: 1.5 },
+            { label: 'Months 13-24', rate: 1.2 },
+            { label: 'After 24 months', rate: 1 }
+        ]);
+    });
+});
+
+describe('mileageValue', () => {
+    test('combines the age curve with a per-mile penalty for every vehicle', () => {
+        const options = { monthlyMiles: 1000, perMilePenalty: 0.2, salvageFloor: 0, numVehicles: 2 };
+
+        expect(mileageValue(10, 12, 100000, options)).toBeCloseTo(90000 - 0.2 * 12000 * 2);
+    });
+
+    test('never drops below the salvage floor', () => {
+        const options = { monthlyMiles: 5000, perMilePenalty: 0.5, salvageFloor: 25 };
+
+        expect(mileageValue(20, 60, 40000, options)).toBe(10000);
+    });
+});
+
+describe('convertDepreciationRate', () => {
+    test('converts between monthly and annual compounding', () => {
+        expect(convertDepreciationRate(1, 'monthly', 'annual')).toBeCloseTo(100 * (1 - Math.pow(0.99, 12)), 2);
+        expect(convertDepreciationRate(15, 'annual', 'monthly')).toBeCloseTo(100 * (1 - Math.pow(0.85, 1 / 12)), 2);
+    });
+
+    test('gives heavy use a lower base rate for the same value at the horizon', () => {
+        const base = convertDepreciationRate(1, 'monthly', 'heavyuse', { horizon: 60 });
+        const retained = [...Array(60)].reduce((value, _, index) => depreciateValue('heavyuse', base, index + 1, value, 1), 1);
+
+        expect(base).toBeLessThan(1);
+        expect(retained).toBeCloseTo(Math.pow(0.99, 60), 3);
+    });
+
+    test('keeps the rate for fitted curves and the same model', () => {
+        expect(convertDepreciationRate(1.3, 'monthly', 'custom')).toBe(1.3);
+        expect(convertDepreciationRate(12, 'annual', 'annual')).toBe(12);
+    });
+});
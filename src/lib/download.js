@@ -0,0 +1,51 @@
+export const downloadFile = (filename, content, mimeType) => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Revoking straight after click() can cancel the download in some
+    // browsers, so let it start first.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Returns standalone markup for an SVG on the page (e.g. a recharts
+ * surface), with explicit dimensions and namespace so it renders the same
+ * outside the app.
+ */
+export const serializeSvg = (svg) => {
+    if (!svg) return '';
+    const clone = svg.cloneNode(true);
+    const { width, height } = svg.getBoundingClientRect();
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    if (width && height) {
+        clone.setAttribute('width', Math.round(width));
+        clone.setAttribute('height', Math.round(height));
+        clone.setAttribute('viewBox', `0 0 ${Math.round(width)} ${Math.round(height)}`);
+    }
+    return new XMLSerializer().serializeToString(clone);
+};
+
+/**
+ * Opens the browser's print dialog for a standalone HTML document, which is
+ * how the report becomes a PDF ("Save as PDF") without a server or a PDF
+ * library. A hidden iframe avoids popup blockers.
+ */
+export const printHTML = (html) => {
+    const frame = document.createElement('iframe');
+    frame.style.position = 'fixed';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+    frame.onload = () => {
+        frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    };
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+};
@@ -0,0 +1,158 @@
+import { calculateData, loanEndMonth } from './calculateData';
+import { DEFAULT_HEAVY_USE_TIERS, DEFAULT_MILEAGE_OPTIONS } from './depreciation';
+import { DEFAULT_CURRENCY_SETTINGS } from './currency';
+
+/**
+ * Mixed-fleet projection: every vehicle class is run through calculateData
+ * on a shared horizon and the monthly rows are summed into fleet totals.
+ * A class with a `startMonth` is bought that many months after month 0 and
+ * contributes nothing before then.
+ */
+
+export const PURCHASE_COST_KEYS = ['downPayment', 'downPaymentType', 'tradeInCredit', 'salesTaxRate', 'fees'];
+
+export const DEFAULT_PURCHASE_COSTS = {
+    downPayment: 0,
+    downPaymentType: 'percent',
+    tradeInCredit: 0,
+    salesTaxRate: 0,
+    fees: 0,
+    // Currency of the dollar down payment, trade-in and fees.
+    purchaseCurrency: DEFAULT_CURRENCY_SETTINGS.currency
+};
+
+const SUMMED_ROW_KEYS = [
+    'vehicleValue',
+    'loanBalance',
+    'equity',
+    'monthlyPayment',
+    'payment',
+    'interestPayment',
+    'principalPayment',
+    'extraPayment',
+    'cumulativeInterest',
+    'cumulativeDepreciation'
+];
+
+const SUMMED_RESULT_KEYS = [
+    'monthlyPayment',
+    'totalLoan',
+    'totalInterest',
+    'fleetValue',
+    'downPayment',
+    'tradeInCredit',
+    'salesTax',
+    'fees',
+    'numVehicles'
+];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+export const createVehicleClass = (overrides = {}) => ({
+    id: 'class1',
+    name: 'Passenger Van',
+    numVehicles: 1,
+    purchasePrice: 65000,
+    depreciationModel: 'monthly',
+    depreciationRate: 1.0,
+    loanTerm: 60,
+    interestRate: 6.8,
+    startMonth: 0,
+    ...DEFAULT_MILEAGE_OPTIONS,
+    heavyUseTiers: DEFAULT_HEAVY_USE_TIERS,
+    extraPayments: [],
+    balloonPayment: 0,
+    refinance: null,
+    currency: DEFAULT_CURRENCY_SETTINGS.currency,
+    ...overrides
+});
+
+export const fleetHorizon = (vehicleClasses) => Math.max(...vehicleClasses.map((vehicleClass) => (
+    (vehicleClass.startMonth || 0) + loanEndMonth(vehicleClass)
+))) + 12;
+
+export const pickPurchaseCosts = (fleetInputs) => PURCHASE_COST_KEYS.reduce((costs, key) => (
+    fleetInputs[key] === undefined ? costs : { ...costs, [key]: fleetInputs[key] }
+), {});
+
+/**
+ * Moves a projection `startMonth` months later, padding the months before
+ * the purchase with empty rows so it lines up with the rest of the fleet.
+ * The result keeps `startMonth` so later analyses know when it was bought.
+ */
+export const shiftProjection = (result, startMonth) => {
+    if (!startMonth) return result;
+    const emptyRow = SUMMED_ROW_KEYS.reduce((row, key) => ({ ...row, [key]: 0 }), {});
+    const padding = Array.from({ length: startMonth }, (_, month) => ({ ...emptyRow, month }));
+    return {
+        ...result,
+        data: [...padding, ...result.data.map((row) => ({ ...row, month: row.month + startMonth }))],
+        endOfTermMonth: result.endOfTermMonth + startMonth,
+        startMonth
+    };
+};
+
+/**
+ * Runs one class with the fleet-wide purchase costs (and any variable-rate
+ * `rateAdjustments`) applied.
+ */
+export const calculateClassData = (vehicleClass, fleetInputs, horizon = fleetHorizon([vehicleClass])) => {
+    const startMonth = vehicleClass.startMonth || 0;
+    const result = calculateData({
+        ...pickPurchaseCosts(fleetInputs),
+        ...vehicleClass,
+        // Fleet-wide rate adjustments run on the calendar; the class's own
+        // month 1 is calendar month startMonth + 1.
+        ...(fleetInputs.rateAdjustments && { rateAdjustments: fleetInputs.rateAdjustments.slice(startMonth) }),
+        horizon: horizon - startMonth
+    });
+    return shiftProjection(result, startMonth);
+};
+
+export const sumProjections = (results) => {
+    const length = Math.max(...results.map((result) => result.data.length));
+    const data = [];
+
+    for (let month = 0; month < length; month++) {
+        const row = { month };
+        SUMMED_ROW_KEYS.forEach((key) => {
+            row[key] = results.reduce((total, result) => total + (result.data[month]?.[key] || 0), 0);
+        });
+        ['payment', 'interestPayment', 'principalPayment', 'extraPayment', 'cumulativeInterest'].forEach((key) => {
+            row[key] = roundCents(row[key]);
+        });
+        data.push(row);
+    }
+
+    const totals = SUMMED_RESULT_KEYS.reduce((sum, key) => ({
+        ...sum,
+        [key]: results.reduce((total, result) => total + (result[key] || 0), 0)
+    }), {});
+
+    return {
+        ...totals,
+        data,
+        paymentPerVehicle: totals.numVehicles ? totals.monthlyPayment / totals.numVehicles : 0,
+        loanTerm: Math.max(...results.map((result) => result.loanTerm)),
+        endOfTermMonth: Math.max(...results.map((result) => result.endOfTermMonth))
+    };
+};
+
+/**
+ * Takes { vehicleClasses, ...purchaseCosts } and returns the summed fleet
+ * projection in the calculateData shape, plus `classes` with each class's
+ * own result for drill-down.
+ */
+export const calculateFleetData = (fleetInputs) => {
+    const { vehicleClasses } = fleetInputs;
+    const horizon = fleetHorizon(vehicleClasses);
+    const classes = vehicleClasses.map((vehicleClass) => ({
+        ...vehicleClass,
+        result: calculateClassData(vehicleClass, fleetInputs, horizon)
+    }));
+
+    return {
+        ...sumProjections(classes.map((vehicleClass) => vehicleClass.result)),
+        classes
+    };
+};
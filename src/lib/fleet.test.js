@@ -0,0 +1,63 @@
+import { calculateData } from './calculateData';
+import { calculateFleetData, createVehicleClass } from './fleet';
+
+const vans = createVehicleClass({ id: 'vans', name: 'Vans', numVehicles: 30, purchasePrice: 50000, loanTerm: 60 });
+const buses = createVehicleClass({
+    id: 'buses',
+    name: 'Buses',
+    numVehicles: 2,
+    purchasePrice: 150000,
+    depreciationModel: 'annual',
+    depreciationRate: 12,
+    loanTerm: 72,
+    interestRate: 5.5
+});
+
+describe('calculateFleetData', () => {
+    test('matches calculateData for a single class', () => {
+        const fleet = calculateFleetData({ vehicleClasses: [vans] });
+        const single = calculateData(vans);
+
+        expect(fleet.data.map((row) => row.equity)).toEqual(single.data.map((row) => row.equity));
+        expect(fleet.monthlyPayment).toBeCloseTo(single.monthlyPayment, 6);
+        expect(fleet.loanTerm).toBe(60);
+    });
+
+    test('sums per-class curves over the longest horizon', () => {
+        const fleet = calculateFleetData({ vehicleClasses: [vans, buses] });
+        const [vanResult, busResult] = fleet.classes.map((vehicleClass) => vehicleClass.result);
+
+        expect(fleet.data).toHaveLength(72 + 12 + 1);
+        expect(vanResult.data).toHaveLength(fleet.data.length);
+        expect(fleet.numVehicles).toBe(32);
+        expect(fleet.fleetValue).toBe(30 * 50000 + 2 * 150000);
+        expect(fleet.loanTerm).toBe(72);
+        [0, 12, 60, 84].forEach((month) => {
+            expect(fleet.data[month].vehicleValue)
+                .toBe(vanResult.data[month].vehicleValue + busResult.data[month].vehicleValue);
+            expect(fleet.data[month].loanBalance)
+                .toBe(vanResult.data[month].loanBalance + busResult.data[month].loanBalance);
+        });
+        expect(fleet.data[66].loanBalance).toBe(busResult.data[66].loanBalance);
+        expect(fleet.paymentPerVehicle).toBeCloseTo(fleet.monthlyPayment / 32, 6);
+    });
+
+    test('applies fleet-wide purchase costs to every class', () => {
+        const fleet = calculateFleetData({ vehicleClasses: [vans, buses], downPayment: 10, downPaymentType: 'percent' });
+
+        expect(fleet.downPayment).toBeCloseTo(0.1 * fleet.fleetValue);
+        expect(fleet.totalLoan).toBeCloseTo(0.9 * fleet.fleetValue);
+    });
+
+    test('shifts staggered classes to their start month', () => {
+        const later = { ...vans, id: 'later', startMonth: 24 };
+        const fleet = calculateFleetData({ vehicleClasses: [vans, later] });
+        const [, laterResult] = fleet.classes.map((vehicleClass) => vehicleClass.result);
+
+        expect(fleet.data).toHaveLength(24 + 60 + 12 + 1);
+        expect(fleet.endOfTermMonth).toBe(84);
+        expect(laterResult.data[23].vehicleValue).toBe(0);
+        expect(laterResult.data[24].vehicleValue).toBe(30 * 50000);
+        expect(laterResult.data[24 + 12].vehicleValue).toBe(calculateData(vans).data[12].vehicleValue);
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Finance vs. lease vs. rent over the same term. The financed purchase comes
+ * straight from a calculateData / calculateFleetData result; lease and rent
+ * are modelled per vehicle class, each starting in the month the class is
+ * bought and running for its own loan term.
+ *
+ * A trade-in is handed over at signing wherever it is used: the purchase
+ * counts it as outlay alongside the down payment (it already lowers the
+ * amount financed) and so does the lease, where it lowers the capitalized
+ * cost. Renting leaves the old vehicle with the owner, so nothing is counted.
+ */
+
+export const DEFAULT_LEASE_TERMS = {
+    moneyFactor: 0.0028,
+    residualPercent: 55,
+    monthlyPayment: null,
+    annualMileageAllowance: 15000,
+    overageFee: 0.25
+};
+
+export const DEFAULT_RENTAL_TERMS = {
+    monthlyRate: 1800
+};
+
+/**
+ * Standard lease payment: depreciation fee plus money-factor finance fee,
+ * with the residual taken on the full price and `capCostReduction` (e.g. a
+ * trade-in) taken off the capitalized cost. An explicit `monthlyPayment`
+ * (e.g. a quoted payment, even 0) wins over the formula.
+ */
+export const calculateLeasePayment = (
+    capitalizedCost, term, { moneyFactor, residualPercent, monthlyPayment }, capCostReduction = 0
+) => {
+    if (monthlyPayment !== null && monthlyPayment !== undefined) return monthlyPayment;
+    const residual = capitalizedCost * residualPercent / 100;
+    const netCost = capitalizedCost - capCostReduction;
+    return (netCost - residual) / term + (netCost + residual) * moneyFactor;
+};
+
+export const mileageOverage = (term, monthlyMiles, { annualMileageAllowance, overageFee }) => (
+    Math.max(0, monthlyMiles * term - annualMileageAllowance * term / 12) * overageFee
+);
+
+const cumulativeSeries = (term, cashForMonth) => {
+    const series = [];
+    let total = 0;
+    for (let month = 0; month <= term; month++) {
+        total += cashForMonth(month);
+        series.push(total);
+    }
+    return series;
+};
+
+// One entry per vehicle class of the purchase (or the purchase itself when
+// it is a single class), with the window its lease or rental would cover.
+const purchaseClasses = (purchase, monthlyMiles) => (purchase.classes || [{ result: purchase }]).map((vehicleClass) => {
+    const { result } = vehicleClass;
+    const startMonth = result.startMonth || 0;
+    return {
+        startMonth,
+        term: result.endOfTermMonth - startMonth,
+        numVehicles: result.numVehicles,
+        price: result.fleetValue / result.numVehicles,
+        monthlyMiles: vehicleClass.monthlyMiles ?? monthlyMiles,
+        downPayment: result.downPayment,
+        tradeInCredit: result.tradeInCredit || 0
+    };
+});
+
+const isActive = ({ startMonth, term }, month) => month > startMonth && month <= startMonth + term;
+
+/**
+ * Returns { term, options, data } where each option has the cumulative cash
+ * outlay per month, total outlay, net position at the end of the term (equity
+ * kept, which is 0 for lease and rent) and the total cost of ownership
+ * (outlay minus net position). `data` is one row per month for the chart.
+ */
+export const compareFinancingOptions = ({
+    purchase,
+    term = purchase.endOfTermMonth,
+    monthlyMiles,
+    lease = DEFAULT_LEASE_TERMS,
+    rental = DEFAULT_RENTAL_TERMS
+}) => {
+    const classes = purchaseClasses(purchase, monthlyMiles).map((vehicleClass) => ({
+        ...vehicleClass,
+        leasePayment: calculateLeasePayment(
+            vehicleClass.price, vehicleClass.term, lease, vehicleClass.tradeInCredit / vehicleClass.numVehicles
+        ) * vehicleClass.numVehicles,
+        overage: mileageOverage(vehicleClass.term, vehicleClass.monthlyMiles, lease) * vehicleClass.numVehicles,
+        rentPayment: rental.monthlyRate * vehicleClass.numVehicles
+    }));
+    const sum = (cashForClass) => classes.reduce((total, vehicleClass) => total + cashForClass(vehicleClass), 0);
+
+    const buyCumulative = cumulativeSeries(term, (month) => (
+        sum((vehicleClass) => (
+            month === vehicleClass.startMonth ? vehicleClass.downPayment + vehicleClass.tradeInCredit : 0
+        ))
+            + (month === 0 ? 0 : purchase.data[month]?.payment || 0)
+    ));
+    const endOfTerm = purchase.data[term] || purchase.data[purchase.data.length - 1];
+
+    const tradeInCredit = sum((vehicleClass) => vehicleClass.tradeInCredit);
+    const leasePayment = sum((vehicleClass) => vehicleClass.leasePayment);
+    const overage = sum((vehicleClass) => vehicleClass.overage);
+    const leaseCumulative = cumulativeSeries(term, (month) => sum((vehicleClass) => {
+        if (month === vehicleClass.startMonth) return vehicleClass.tradeInCredit;
+        if (!isActive(vehicleClass, month)) return 0;
+        return vehicleClass.leasePayment + (month === vehicleClass.startMonth + vehicleClass.term ? vehicleClass.overage : 0);
+    }));
+
+    const rentPayment = sum((vehicleClass) => vehicleClass.rentPayment);
+    const rentCumulative = cumulativeSeries(term, (month) => sum((vehicleClass) => (
+        isActive(vehicleClass, month) ? vehicleClass.rentPayment : 0
+    )));
+
+    const option = (key, label, cumulative, netPosition, extra = {}) => {
+        const totalCashOutlay = cumulative[cumulative.length - 1];
+        return {
+            key,
+            label,
+            cumulative,
+            totalCashOutlay,
+            netPosition,
+            totalCostOfOwnership: totalCashOutlay - netPosition,
+            ...extra
+        };
+    };
+
+    const options = [
+        option('buy', 'Finance & Buy', buyCumulative, endOfTerm.equity, {
+            monthlyPayment: purchase.monthlyPayment,
+            assetValue: endOfTerm.vehicleValue,
+            tradeInCredit
+        }),
+        option('lease', 'Lease', leaseCumulative, 0, { monthlyPayment: leasePayment, mileageOverage: overage, tradeInCredit }),
+        option('rent', 'Rent', rentCumulative, 0, { monthlyPayment: rentPayment })
+    ];
+
+    const data = buyCumulative.map((_, month) => options.reduce(
+        (row, current) => ({ ...row, [current.key]: Math.round(current.cumulative[month]) }),
+        { month }
+    ));
+
+    return { term, options, data };
+};
@@ -0,0 +1,135 @@
+import { calculateData } from './calculateData';
+import { calculateFleetData, createVehicleClass } from './fleet';
+import { calculateLeasePayment, compareFinancingOptions, mileageOverage } from './leaseComparison';
+
+const purchase = calculateData({
+    depreciationModel: 'monthly',
+    depreciationRate: 1,
+    loanTerm: 36,
+    interestRate: 6,
+    purchasePrice: 40000,
+    numVehicles: 2,
+    downPayment: 10
+});
+
+describe('calculateLeasePayment', () => {
+    test('adds the depreciation fee and the money-factor finance fee', () => {
+        const payment = calculateLeasePayment(40000, 36, { moneyFactor: 0.0025, residualPercent: 50 });
+
+        expect(payment).toBeCloseTo(20000 / 36 + 60000 * 0.0025);
+    });
+
+    test('uses a quoted payment when given', () => {
+        expect(calculateLeasePayment(40000, 36, { moneyFactor: 0.0025, residualPercent: 50, monthlyPayment: 699 }))
+            .toBe(699);
+        expect(calculateLeasePayment(40000, 36, { moneyFactor: 0.0025, residualPercent: 50, monthlyPayment: 0 }))
+            .toBe(0);
+    });
+
+    test('takes a cap cost reduction off the cost but not the residual', () => {
+        const payment = calculateLeasePayment(40000, 36, { moneyFactor: 0.0025, residualPercent: 50 }, 4000);
+
+        expect(payment).toBeCloseTo(16000 / 36 + 56000 * 0.0025);
+    });
+});
+
+describe('mileageOverage', () => {
+    test('charges only the miles past the allowance', () => {
+        expect(mileageOverage(36, 1500, { annualMileageAllowance: 12000, overageFee: 0.2 })).toBeCloseTo(18000 * 0.2);
+        expect(mileageOverage(36, 500, { annualMileageAllowance: 12000, overageFee: 0.2 })).toBe(0);
+    });
+});
+
+describe('compareFinancingOptions', () => {
+    const comparison = compareFinancingOptions({
+        purchase,
+        monthlyMiles: 2000,
+        lease: { moneyFactor: 0.0025, residualPercent: 50, annualMileageAllowance: 12000, overageFee: 0.25 },
+        rental: { monthlyRate: 1500 }
+    });
+    const [buy, lease, rent] = comparison.options;
+
+    test('buy outlay is the down payment plus every loan payment and keeps the equity', () => {
+        expect(comparison.term).toBe(36);
+        expect(buy.totalCashOutlay).toBeCloseTo(8000 + purchase.monthlyPayment * 36, 0);
+        expect(buy.netPosition).toBe(purchase.data[36].equity);
+        expect(buy.totalCostOfOwnership).toBeCloseTo(buy.totalCashOutlay - buy.netPosition);
+    });
+
+    test('lease and rent scale to the fleet and keep nothing', () => {
+        expect(lease.mileageOverage).toBeCloseTo(2 * 36000 * 0.25);
+        expect(lease.totalCashOutlay).toBeCloseTo(lease.monthlyPayment * 36 + lease.mileageOverage);
+        expect(lease.netPosition).toBe(0);
+        expect(rent.totalCashOutlay).toBe(2 * 1500 * 36);
+    });
+
+    test('counts a trade-in as signing outlay for buy and lease but not rent', () => {
+        const withTradeIn = calculateData({
+            depreciationModel: 'monthly',
+            depreciationRate: 1,
+            loanTerm: 36,
+            interestRate: 6,
+            purchasePrice: 40000,
+            numVehicles: 2,
+            downPayment: 10,
+            tradeInCredit: 5000
+        });
+        const traded = compareFinancingOptions({
+            purchase: withTradeIn,
+            monthlyMiles: 2000,
+            lease: { moneyFactor: 0.0025, residualPercent: 50, annualMileageAllowance: 12000, overageFee: 0.25 },
+            rental: { monthlyRate: 1500 }
+        });
+        const [tradedBuy, tradedLease, tradedRent] = traded.options;
+
+        expect(traded.data[0]).toEqual({ month: 0, buy: 18000, lease: 10000, rent: 0 });
+        expect(tradedBuy.totalCashOutlay).toBeCloseTo(18000 + withTradeIn.monthlyPayment * 36, 0);
+        expect(tradedLease.monthlyPayment).toBeCloseTo(2 * calculateLeasePayment(40000, 36, {
+            moneyFactor: 0.0025, residualPercent: 50
+        }, 5000));
+        expect(tradedLease.totalCashOutlay).toBeCloseTo(10000 + tradedLease.monthlyPayment * 36 + tradedLease.mileageOverage);
+        expect(tradedRent.totalCashOutlay).toBe(rent.totalCashOutlay);
+    });
+
+    test('charts the cumulative outlay for each option by month', () => {
+        expect(comparison.data).toHaveLength(37);
+        expect(comparison.data[0]).toEqual({ month: 0, buy: 8000, lease: 0, rent: 0 });
+        expect(comparison.data[36].rent).toBe(108000);
+    });
+
+    test('leases and rents each class from its purchase month for its own term', () => {
+        const options = { monthlyMiles: 1000, rental: { monthlyRate: 1800 } };
+        const unstaggered = compareFinancingOptions({
+            ...options, purchase: calculateFleetData({ vehicleClasses: [createVehicleClass()] })
+        });
+        const staggered = compareFinancingOptions({
+            ...options, purchase: calculateFleetData({ vehicleClasses: [createVehicleClass({ startMonth: 24 })] })
+        });
+        const [, unstaggeredLease, unstaggeredRent] = unstaggered.options;
+        const [, lease, rent] = staggered.options;
+
+        expect(staggered.term).toBe(84);
+        expect(rent.totalCashOutlay).toBe(108000);
+        expect(unstaggeredRent.totalCashOutlay).toBe(108000);
+        expect(lease.monthlyPayment).toBeCloseTo(unstaggeredLease.monthlyPayment);
+        expect(lease.totalCashOutlay).toBeCloseTo(unstaggeredLease.totalCashOutlay);
+        expect(staggered.data[24]).toMatchObject({ lease: 0, rent: 0 });
+        expect(staggered.data[25].rent).toBe(1800);
+    });
+
+    test('mixes class start months and terms in a fleet', () => {
+        const purchase = calculateFleetData({
+            vehicleClasses: [
+                createVehicleClass({ numVehicles: 2, loanTerm: 36 }),
+                createVehicleClass({ id: 'class2', startMonth: 12, loanTerm: 60 })
+            ],
+            downPayment: 10
+        });
+        const [buy, , rent] = compareFinancingOptions({ purchase, monthlyMiles: 1000, rental: { monthlyRate: 1000 } }).options;
+
+        expect(rent.totalCashOutlay).toBe(1000 * (2 * 36 + 60));
+        expect(rent.monthlyPayment).toBe(3000);
+        expect(buy.cumulative[0]).toBeCloseTo(2 * 6500, 0);
+        expect(buy.cumulative[12] - buy.cumulative[11]).toBeCloseTo(6500 + purchase.data[12].payment, 0);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Helpers for the extra-payment / balloon / refinance events that
+ * calculateData applies to each vehicle class, and for measuring them
+ * against the plain level-payment loan they replace.
+ */
+
+export const EXTRA_PAYMENT_REPEATS = [
+    { value: 0, label: 'One-off' },
+    { value: 1, label: 'Monthly' },
+    { value: 3, label: 'Quarterly' },
+    { value: 12, label: 'Yearly' }
+];
+
+export const DEFAULT_EXTRA_PAYMENT = { month: 12, amount: 1000, repeatEvery: 0 };
+
+export const DEFAULT_REFINANCE = { month: 24, interestRate: 5.5, loanTerm: 48 };
+
+export const hasLoanEvents = (vehicleClass) => Boolean(
+    (vehicleClass.extraPayments && vehicleClass.extraPayments.length)
+    || vehicleClass.balloonPayment > 0
+    || vehicleClass.refinance
+);
+
+/**
+ * The same scenario with every class on its original level-payment loan.
+ */
+export const withoutLoanEvents = (fleetInputs) => ({
+    ...fleetInputs,
+    vehicleClasses: fleetInputs.vehicleClasses.map((vehicleClass) => ({
+        ...vehicleClass,
+        extraPayments: [],
+        balloonPayment: 0,
+        refinance: null
+    }))
+});
+
+// Last month with a loan payment, i.e. when the loan is actually cleared.
+export const payoffMonth = (data) => {
+    for (let index = data.length - 1; index > 0; index--) {
+        if (data[index].payment > 0) return data[index].month;
+    }
+    return 0;
+};
+
+/**
+ * Compares a projection with its baseline (same shape, no loan events).
+ * `data` has one row per month with both equity curves and the change.
+ */
+export const compareToBaseline = (result, baseline) => {
+    const length = Math.max(result.data.length, baseline.data.length);
+    const data = Array.from({ length }, (_, month) => {
+        const row = result.data[Math.min(month, result.data.length - 1)];
+        const baselineRow = baseline.data[Math.min(month, baseline.data.length - 1)];
+        return {
+            month,
+            equity: row.equity,
+            baselineEquity: baselineRow.equity,
+            equityChange: row.equity - baselineRow.equity
+        };
+    });
+    const baselineEnd = baseline.endOfTermMonth;
+
+    return {
+        interestSaved: baseline.totalInterest - result.totalInterest,
+        payoffMonth: payoffMonth(result.data),
+        baselinePayoffMonth: payoffMonth(baseline.data),
+        endOfTermEquityChange: data[baselineEnd].equityChange,
+        data
+    };
+};
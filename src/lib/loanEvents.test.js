@@ -0,0 +1,45 @@
+import { compareToBaseline, hasLoanEvents, payoffMonth, withoutLoanEvents } from './loanEvents';
+import { calculateFleetData, createVehicleClass } from './fleet';
+
+const scenario = {
+    vehicleClasses: [
+        createVehicleClass({ extraPayments: [{ month: 6, amount: 2000, repeatEvery: 12 }] }),
+        createVehicleClass({ id: 'class2', numVehicles: 3, refinance: { month: 12, interestRate: 4, loanTerm: 36 } })
+    ]
+};
+
+describe('hasLoanEvents / withoutLoanEvents', () => {
+    test('strips every event from every class', () => {
+        expect(scenario.vehicleClasses.map(hasLoanEvents)).toEqual([true, true]);
+        expect(hasLoanEvents(createVehicleClass({ balloonPayment: 5000 }))).toBe(true);
+
+        const baseline = withoutLoanEvents(scenario);
+        expect(baseline.vehicleClasses.map(hasLoanEvents)).toEqual([false, false]);
+        expect(baseline.vehicleClasses[1].numVehicles).toBe(3);
+    });
+});
+
+describe('compareToBaseline', () => {
+    test('reports interest saved, payoff months and the equity change', () => {
+        const result = calculateFleetData(scenario);
+        const baseline = calculateFleetData(withoutLoanEvents(scenario));
+        const comparison = compareToBaseline(result, baseline);
+
+        expect(comparison.interestSaved).toBeCloseTo(baseline.totalInterest - result.totalInterest, 6);
+        expect(comparison.interestSaved).toBeGreaterThan(0);
+        expect(comparison.baselinePayoffMonth).toBe(60);
+        expect(comparison.payoffMonth).toBe(payoffMonth(result.data));
+        expect(comparison.payoffMonth).toBeLessThan(60);
+        expect(comparison.data[6].equityChange).toBe(result.data[6].equity - baseline.data[6].equity);
+        expect(comparison.data[6].equityChange).toBeGreaterThan(0);
+        expect(comparison.endOfTermEquityChange).toBe(comparison.data[60].equityChange);
+    });
+
+    test('is neutral against itself', () => {
+        const baseline = calculateFleetData(withoutLoanEvents(scenario));
+        const comparison = compareToBaseline(baseline, baseline);
+
+        expect(comparison.interestSaved).toBe(0);
+        expect(comparison.data.every((row) => row.equityChange === 0)).toBe(true);
+    });
+});
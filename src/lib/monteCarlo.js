@@ -0,0 +1,179 @@
+import { calculateClassData, calculateFleetData, fleetHorizon } from './fleet';
+
+/**
+ * Stochastic mode: Monte Carlo simulation of resale values around the
+ * deterministic projection. Every path scales the projected vehicle values
+ * by a market factor that follows a lognormal random walk with the given
+ * annual volatility. The walk is mean-preserving, so the average path
+ * matches the projection and the median sits slightly below it. A class
+ * bought later only feels market moves from its purchase onwards.
+ *
+ * With `randomRates` the loans are treated as variable-rate: each path also
+ * draws a random walk of rate changes and each class's loan is re-run with
+ * them as `rateAdjustments`. Paths come from a seeded generator, so the
+ * same seed always gives the same bands.
+ */
+
+export const PERCENTILES = [10, 50, 90];
+
+export const SIMULATION_PATH_OPTIONS = [500, 1000, 2000, 5000];
+
+export const DEFAULT_SIMULATION = {
+    enabled: false,
+    // Annual standard deviation of resale prices, in percent.
+    volatility: 15,
+    randomRates: false,
+    // Annual standard deviation of the loan rate, in percentage points.
+    rateVolatility: 1,
+    paths: 2000,
+    seed: 1
+};
+
+/**
+ * Mulberry32: a small, fast generator of uniform numbers in [0, 1).
+ */
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Standard normal draws via Box-Muller, using both values of each pair.
+ */
+export const createNormalRandom = (random) => {
+    let spare = null;
+    return () => {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return value;
+        }
+        const radius = Math.sqrt(-2 * Math.log(1 - random()));
+        const angle = 2 * Math.PI * random();
+        spare = radius * Math.sin(angle);
+        return radius * Math.cos(angle);
+    };
+};
+
+/**
+ * Linear-interpolated percentile `p` (0-100) of an ascending array.
+ */
+export const percentile = (sorted, p) => {
+    if (!sorted.length) return 0;
+    const index = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+// Market factor for months 0..months-1, starting at 1.
+const simulateMarketFactors = (months, volatility, normal) => {
+    const sigma = volatility / 100 / Math.sqrt(12);
+    const factors = new Float64Array(months);
+    let logFactor = 0;
+    factors[0] = 1;
+    for (let month = 1; month < months; month++) {
+        logFactor += sigma * normal() - sigma * sigma / 2;
+        factors[month] = Math.exp(logFactor);
+    }
+    return factors;
+};
+
+// Rate change (in points) from the contract rate for months 0..months-1.
+const simulateRateAdjustments = (months, rateVolatility, normal) => {
+    const sigma = rateVolatility / Math.sqrt(12);
+    const adjustments = [0];
+    for (let month = 1; month < months; month++) {
+        adjustments.push(adjustments[month - 1] + sigma * normal());
+    }
+    return adjustments;
+};
+
+export const formatProbability = (probability) => `${(probability * 100).toFixed(1)}%`;
+
+const bands = (values) => {
+    const sorted = Float64Array.from(values).sort();
+    return PERCENTILES.reduce((band, p) => ({ ...band, [`p${p}`]: Math.round(percentile(sorted, p)) }), {});
+};
+
+/**
+ * Runs `paths` simulations of the fleet, or of one class when `classId` is
+ * given, and returns per-month P10/P50/P90 bands of vehicle value and
+ * equity, the same bands for equity at the end of the loan term, the share
+ * of paths underwater then and the share underwater at any point up to
+ * then. The last payment (balloon included) clears every loan, so equity
+ * "at the end of term" is the value then less what is owed going into that
+ * payment: the shortfall an owner would have to cover to sell. Both the
+ * end-of-term bands and the underwater share use that one figure.
+ */
+export const runMonteCarlo = (fleetInputs, {
+    classId = null,
+    volatility = DEFAULT_SIMULATION.volatility,
+    randomRates = false,
+    rateVolatility = DEFAULT_SIMULATION.rateVolatility,
+    paths = DEFAULT_SIMULATION.paths,
+    seed = DEFAULT_SIMULATION.seed
+} = {}) => {
+    const baseFleet = calculateFleetData(fleetInputs);
+    const base = classId ? baseFleet.classes.find((vehicleClass) => vehicleClass.id === classId).result : baseFleet;
+    const months = base.data.length;
+    const endOfTermMonth = Math.min(base.endOfTermMonth, months - 1);
+    const horizon = fleetHorizon(fleetInputs.vehicleClasses);
+    const classes = baseFleet.classes.filter((vehicleClass) => !classId || vehicleClass.id === classId);
+
+    // Only the loans change with the rate, so a path re-runs each class and
+    // keeps just the balances.
+    const simulateBalances = (rateAdjustments) => {
+        const balances = new Float64Array(months);
+        classes.forEach((vehicleClass) => {
+            const { data } = calculateClassData(vehicleClass, { ...fleetInputs, rateAdjustments }, horizon);
+            data.forEach((row, month) => { balances[month] += row.loanBalance; });
+        });
+        return balances;
+    };
+    const baseBalances = Float64Array.from(base.data, (row) => row.loanBalance);
+
+    const normal = createNormalRandom(createRandom(seed));
+    const values = Array.from({ length: months }, () => new Float64Array(paths));
+    const equities = Array.from({ length: months }, () => new Float64Array(paths));
+    const owedMonth = Math.max(0, endOfTermMonth - 1);
+    const endOfTermEquities = new Float64Array(paths);
+    let everUnderwater = 0;
+
+    for (let path = 0; path < paths; path++) {
+        const factors = simulateMarketFactors(months, volatility, normal);
+        const balances = randomRates
+            ? simulateBalances(simulateRateAdjustments(months, rateVolatility, normal))
+            : baseBalances;
+
+        for (let month = 0; month < months; month++) {
+            let value = 0;
+            classes.forEach(({ startMonth = 0, result }) => {
+                if (month >= startMonth) value += result.data[month].vehicleValue * factors[month] / factors[startMonth];
+            });
+            values[month][path] = value;
+            equities[month][path] = value - balances[month];
+        }
+        endOfTermEquities[path] = values[endOfTermMonth][path] - balances[owedMonth];
+        if (equities.slice(0, endOfTermMonth + 1).some((monthEquities) => monthEquities[path] < 0)) everUnderwater++;
+    }
+
+    return {
+        paths,
+        endOfTermMonth,
+        data: values.map((monthValues, month) => ({
+            month,
+            vehicleValue: bands(monthValues),
+            equity: bands(equities[month])
+        })),
+        endOfTermEquity: bands(endOfTermEquities),
+        probabilityUnderwaterAtEnd: paths ? endOfTermEquities.filter((equity) => equity < 0).length / paths : 0,
+        probabilityEverUnderwater: paths ? everUnderwater / paths : 0
+    };
+};
@@ -0,0 +1,119 @@
+import { createNormalRandom, createRandom, percentile, runMonteCarlo } from './monteCarlo';
+import { calculateFleetData, createVehicleClass } from './fleet';
+
+const inputs = {
+    vehicleClasses: [createVehicleClass(), createVehicleClass({ id: 'class2', numVehicles: 2, startMonth: 12 })],
+    downPayment: 0,
+    downPaymentType: 'percent',
+    tradeInCredit: 0,
+    salesTaxRate: 0,
+    fees: 0
+};
+
+describe('createRandom', () => {
+    test('repeats the same sequence for the same seed', () => {
+        const first = createRandom(7);
+        const second = createRandom(7);
+        const other = createRandom(8);
+        const draws = Array.from({ length: 5 }, () => first());
+
+        expect(Array.from({ length: 5 }, () => second())).toEqual(draws);
+        expect(Array.from({ length: 5 }, () => other())).not.toEqual(draws);
+        draws.forEach((draw) => {
+            expect(draw).toBeGreaterThanOrEqual(0);
+            expect(draw).toBeLessThan(1);
+        });
+    });
+
+    test('feeds roughly standard normal draws', () => {
+        const normal = createNormalRandom(createRandom(1));
+        const draws = Array.from({ length: 20000 }, () => normal());
+        const mean = draws.reduce((total, draw) => total + draw, 0) / draws.length;
+        const variance = draws.reduce((total, draw) => total + (draw - mean) ** 2, 0) / draws.length;
+
+        expect(mean).toBeCloseTo(0, 1);
+        expect(variance).toBeCloseTo(1, 1);
+    });
+});
+
+describe('percentile', () => {
+    test('interpolates between sorted values', () => {
+        expect(percentile([10, 20, 30, 40, 50], 50)).toBe(30);
+        expect(percentile([10, 20, 30, 40, 50], 10)).toBe(14);
+        expect(percentile([], 50)).toBe(0);
+    });
+});
+
+describe('runMonteCarlo', () => {
+    const base = calculateFleetData(inputs);
+
+    test('collapses onto the deterministic projection with no volatility', () => {
+        const result = runMonteCarlo(inputs, { volatility: 0, paths: 50 });
+
+        [0, 12, 40, 72].forEach((month) => {
+            expect(result.data[month].vehicleValue.p10).toBe(result.data[month].vehicleValue.p90);
+            expect(result.data[month].vehicleValue.p50).toBeCloseTo(base.data[month].vehicleValue, -1);
+            expect(result.data[month].equity.p50).toBeCloseTo(base.data[month].equity, -1);
+        });
+        expect(result.endOfTermMonth).toBe(base.endOfTermMonth);
+        expect(result.probabilityUnderwaterAtEnd).toBe(0);
+    });
+
+    test('is reproducible for a seed and orders the bands', () => {
+        const options = { volatility: 20, paths: 400, seed: 3 };
+        const result = runMonteCarlo(inputs, options);
+
+        expect(runMonteCarlo(inputs, options)).toEqual(result);
+        expect(runMonteCarlo(inputs, { ...options, seed: 4 }).data[36]).not.toEqual(result.data[36]);
+        expect(result.data[0].vehicleValue.p10).toBe(result.data[0].vehicleValue.p90);
+        result.data.slice(1).forEach(({ vehicleValue, equity }) => {
+            expect(vehicleValue.p10).toBeLessThan(vehicleValue.p50);
+            expect(vehicleValue.p50).toBeLessThan(vehicleValue.p90);
+            expect(equity.p10).toBeLessThanOrEqual(equity.p50);
+            expect(equity.p50).toBeLessThanOrEqual(equity.p90);
+        });
+        // The bands widen with time.
+        const spread = (month) => result.data[month].vehicleValue.p90 - result.data[month].vehicleValue.p10;
+        expect(spread(48)).toBeGreaterThan(spread(12));
+    });
+
+    test('reports the chance of being underwater at and before the end of term', () => {
+        const steep = { ...inputs, vehicleClasses: [createVehicleClass({ depreciationRate: 2.2, balloonPayment: 25000 })] };
+        const result = runMonteCarlo(steep, { volatility: 25, paths: 500 });
+
+        expect(result.probabilityUnderwaterAtEnd).toBeGreaterThan(0);
+        expect(result.probabilityUnderwaterAtEnd).toBeLessThan(1);
+        expect(result.probabilityEverUnderwater).toBeGreaterThanOrEqual(result.probabilityUnderwaterAtEnd);
+        expect(result.probabilityEverUnderwater).toBeLessThanOrEqual(1);
+    });
+
+    test('measures end-of-term equity against the balance owed going into the last payment', () => {
+        const steep = { ...inputs, vehicleClasses: [createVehicleClass({ depreciationRate: 2.2, balloonPayment: 25000 })] };
+        const fixed = runMonteCarlo(steep, { volatility: 0, paths: 10 });
+        const result = runMonteCarlo(steep, { volatility: 25, paths: 500 });
+        const [{ result: classResult }] = calculateFleetData(steep).classes;
+        const end = fixed.endOfTermMonth;
+
+        expect(fixed.endOfTermEquity.p50)
+            .toBeCloseTo(classResult.data[end].vehicleValue - classResult.data[end - 1].loanBalance, -1);
+        expect(fixed.endOfTermEquity.p50).toBeLessThan(0);
+        expect(fixed.probabilityUnderwaterAtEnd).toBe(1);
+        // The underwater share and the P50 equity describe the same figure.
+        expect(result.probabilityUnderwaterAtEnd > 0.5).toBe(result.endOfTermEquity.p50 < 0);
+    });
+
+    test('follows one class and varies its loan balance with random rates', () => {
+        const fixed = runMonteCarlo(inputs, { classId: 'class2', volatility: 0, paths: 200 });
+        const variable = runMonteCarlo(inputs, {
+            classId: 'class2', volatility: 0, paths: 200, randomRates: true, rateVolatility: 2
+        });
+        const month = 40;
+        const classResult = base.classes[1].result;
+
+        expect(fixed.endOfTermMonth).toBe(classResult.endOfTermMonth);
+        expect(fixed.data[month].equity.p50).toBeCloseTo(classResult.data[month].equity, -1);
+        expect(variable.data[month].vehicleValue).toEqual(fixed.data[month].vehicleValue);
+        expect(variable.data[month].equity.p90 - variable.data[month].equity.p10).toBeGreaterThan(100);
+        expect(variable.data[variable.endOfTermMonth].equity.p10).toBeCloseTo(classResult.data[classResult.endOfTermMonth].vehicleValue, -1);
+    });
+});
@@ -0,0 +1,17 @@
+/**
+ * Parsing for free-typed number fields.
+ */
+
+/**
+ * Returns the number typed in `text`, or null while it is empty, not a
+ * number, not whole when `integer` is set, or outside `min`..`max`. Inputs
+ * commit only non-null results, so a cleared field keeps its last value.
+ */
+export const parseNumberInput = (text, { min = 0, max = Infinity, integer = false } = {}) => {
+    if (String(text ?? '').trim() === '') return null;
+    const value = Number(text);
+    if (!Number.isFinite(value)) return null;
+    if (integer && !Number.isInteger(value)) return null;
+    if (value < min || value > max) return null;
+    return value;
+};
@@ -0,0 +1,23 @@
+import { parseNumberInput } from './numberInput';
+
+describe('parseNumberInput', () => {
+    test('reads numbers at or above zero by default', () => {
+        expect(parseNumberInput('12.5')).toBe(12.5);
+        expect(parseNumberInput('0')).toBe(0);
+        expect(parseNumberInput('-1')).toBeNull();
+    });
+
+    test('rejects empty and non-numeric text', () => {
+        expect(parseNumberInput('')).toBeNull();
+        expect(parseNumberInput('  ')).toBeNull();
+        expect(parseNumberInput('abc')).toBeNull();
+        expect(parseNumberInput(undefined)).toBeNull();
+    });
+
+    test('applies the limits and whole-number rule', () => {
+        expect(parseNumberInput('120', { min: 1, max: 120, integer: true })).toBe(120);
+        expect(parseNumberInput('121', { min: 1, max: 120, integer: true })).toBeNull();
+        expect(parseNumberInput('0', { min: 1 })).toBeNull();
+        expect(parseNumberInput('47.5', { integer: true })).toBeNull();
+    });
+});
@@ -0,0 +1,64 @@
+import { sanitizeScenario } from './scenarioState';
+import { sanitizeRanges } from './ranges';
+import { sanitizeCurrencySettings } from './currency';
+
+/**
+ * localStorage persistence for the working scenario, the saved scenario
+ * list, and display preferences (slider ranges, currency and locale).
+ * Storage can be missing or full (private browsing, quotas), so every call
+ * fails quietly and reads are validated like URL input.
+ */
+
+const CURRENT_KEY = 'vehicleDepreciation.currentScenario';
+const SAVED_KEY = 'vehicleDepreciation.savedScenarios';
+const RANGES_KEY = 'vehicleDepreciation.sliderRanges';
+const CURRENCY_KEY = 'vehicleDepreciation.currency';
+
+const readJSON = (key) => {
+    try {
+        const text = window.localStorage.getItem(key);
+        return text ? JSON.parse(text) : null;
+    } catch (e) {
+        return null;
+    }
+};
+
+const writeJSON = (key, value) => {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        // Ignore: persistence is best-effort.
+    }
+};
+
+export const loadCurrentScenario = () => {
+    const stored = readJSON(CURRENT_KEY);
+    return stored ? sanitizeScenario(stored) : null;
+};
+
+export const storeCurrentScenario = (scenario) => writeJSON(CURRENT_KEY, scenario);
+
+export const loadSavedScenarios = () => {
+    const stored = readJSON(SAVED_KEY);
+    if (!Array.isArray(stored)) return [];
+    return stored
+        .filter((scenario) => scenario && typeof scenario.id === 'string' && scenario.inputs)
+        .map((scenario) => ({
+            id: scenario.id,
+            name: typeof scenario.name === 'string' ? scenario.name : scenario.id,
+            inputs: sanitizeScenario(scenario.inputs)
+        }));
+};
+
+export const storeSavedScenarios = (scenarios) => writeJSON(
+    SAVED_KEY,
+    scenarios.map(({ id, name, inputs }) => ({ id, name, inputs }))
+);
+
+export const loadSliderRanges = () => sanitizeRanges(readJSON(RANGES_KEY));
+
+export const storeSliderRanges = (ranges) => writeJSON(RANGES_KEY, ranges);
+
+export const loadCurrencySettings = () => sanitizeCurrencySettings(readJSON(CURRENCY_KEY));
+
+export const storeCurrencySettings = (settings) => writeJSON(CURRENCY_KEY, settings);
@@ -0,0 +1,53 @@
+import {
+    loadCurrencySettings, loadCurrentScenario, loadSavedScenarios, loadSliderRanges, storeCurrencySettings,
+    storeCurrentScenario, storeSavedScenarios, storeSliderRanges
+} from './persistence';
+import { DEFAULT_CURRENCY_SETTINGS } from './currency';
+import { DEFAULT_RANGES } from './ranges';
+import { sanitizeScenario } from './scenarioState';
+
+beforeEach(() => {
+    window.localStorage.clear();
+});
+
+describe('persistence', () => {
+    test('round-trips the current scenario', () => {
+        const scenario = sanitizeScenario({ vehicleClasses: [{ loanTerm: 48 }], fees: 900 });
+
+        expect(loadCurrentScenario()).toBeNull();
+        storeCurrentScenario(scenario);
+        expect(loadCurrentScenario()).toEqual(scenario);
+    });
+
+    test('validates saved scenarios and skips malformed entries', () => {
+        storeSavedScenarios([
+            { id: 'scenario1', name: '48 months', inputs: { vehicleClasses: [{ loanTerm: 480 }] }, result: {} },
+            { name: 'no id' }
+        ]);
+        const saved = loadSavedScenarios();
+
+        expect(saved).toHaveLength(1);
+        expect(saved[0].name).toBe('48 months');
+        expect(saved[0].inputs.vehicleClasses[0].loanTerm).toBe(120);
+    });
+
+    test('ignores unreadable storage', () => {
+        window.localStorage.setItem('vehicleDepreciation.savedScenarios', '{not json');
+
+        expect(loadSavedScenarios()).toEqual([]);
+    });
+
+    test('round-trips widened slider ranges', () => {
+        expect(loadSliderRanges()).toEqual(DEFAULT_RANGES);
+        storeSliderRanges({ ...DEFAULT_RANGES, loanTerm: { min: 12, max: 84, step: 1 } });
+        expect(loadSliderRanges().loanTerm).toEqual({ min: 12, max: 84, step: 1 });
+    });
+
+    test('round-trips currency settings', () => {
+        const settings = { ...DEFAULT_CURRENCY_SETTINGS, locale: 'de-DE', currency: 'EUR' };
+
+        expect(loadCurrencySettings()).toEqual(DEFAULT_CURRENCY_SETTINGS);
+        storeCurrencySettings(settings);
+        expect(loadCurrencySettings()).toEqual(settings);
+    });
+});
@@ -0,0 +1,96 @@
+import { CLASS_FIELDS, PURCHASE_COST_FIELDS } from './scenarioState';
+
+/**
+ * Slider ranges for the main inputs. These are only the default slider
+ * bounds; users can widen them (and type any value) up to the hard limits
+ * that scenarioState enforces on every scenario.
+ */
+
+export const DEFAULT_RANGES = {
+    numVehicles: { min: 1, max: 200, step: 1 },
+    purchasePrice: { min: 1000, max: 100000, step: 1000 },
+    monthlyDepreciationRate: { min: 0.5, max: 2.0, step: 0.1 },
+    annualDepreciationRate: { min: 5, max: 25, step: 1 },
+    loanTerm: { min: 36, max: 60, step: 1 },
+    interestRate: { min: 5.0, max: 10.0, step: 0.1 },
+    monthlyMiles: { min: 0, max: 10000, step: 100 },
+    perMilePenalty: { min: 0, max: 0.5, step: 0.01 },
+    salvageFloor: { min: 0, max: 50, step: 1 },
+    downPaymentPercent: { min: 0, max: 50, step: 1 },
+    downPaymentDollars: { min: 0, max: 50000, step: 500 },
+    tradeInCredit: { min: 0, max: 50000, step: 500 },
+    salesTaxRate: { min: 0, max: 12, step: 0.25 },
+    fees: { min: 0, max: 5000, step: 100 }
+};
+
+// Range key -> scenario field whose hard limits bound it.
+const RANGE_FIELDS = {
+    numVehicles: 'numVehicles',
+    purchasePrice: 'purchasePrice',
+    monthlyDepreciationRate: 'depreciationRate',
+    annualDepreciationRate: 'depreciationRate',
+    loanTerm: 'loanTerm',
+    interestRate: 'interestRate',
+    monthlyMiles: 'monthlyMiles',
+    perMilePenalty: 'perMilePenalty',
+    salvageFloor: 'salvageFloor',
+    downPaymentPercent: 'downPayment',
+    downPaymentDollars: 'downPayment',
+    tradeInCredit: 'tradeInCredit',
+    salesTaxRate: 'salesTaxRate',
+    fees: 'fees'
+};
+
+// A percentage down payment is also capped at the whole price.
+const LIMIT_OVERRIDES = {
+    downPaymentPercent: { max: 100 }
+};
+
+export const rangeLimits = (rangeKey) => {
+    const field = [...CLASS_FIELDS, ...PURCHASE_COST_FIELDS].find((candidate) => candidate.key === RANGE_FIELDS[rangeKey]);
+    return { min: field.min, max: field.max, integer: Boolean(field.integer), ...LIMIT_OVERRIDES[rangeKey] };
+};
+
+/**
+ * Returns an error message for a typed value, or null when it is usable.
+ */
+export const validateValue = (text, rangeKey) => {
+    const limits = rangeLimits(rangeKey);
+    if (String(text).trim() === '') return 'Enter a value';
+    const value = Number(text);
+    if (!Number.isFinite(value)) return 'Enter a number';
+    if (limits.integer && !Number.isInteger(value)) return 'Enter a whole number';
+    if (value < limits.min || value > limits.max) return `Must be between ${limits.min} and ${limits.max}`;
+    return null;
+};
+
+/**
+ * Returns an error message for a proposed slider range, or null.
+ */
+export const validateRange = ({ min, max }, rangeKey) => {
+    const limits = rangeLimits(rangeKey);
+    if (![min, max].every(Number.isFinite)) return 'Enter numbers for both ends';
+    if (min >= max) return 'Minimum must be below maximum';
+    if (min < limits.min || max > limits.max) return `Range must stay within ${limits.min} to ${limits.max}`;
+    return null;
+};
+
+// The range actually drawn: never narrower than the current value, so a
+// typed or linked value outside the defaults still sits on the slider.
+export const effectiveRange = (range, value) => ({
+    ...range,
+    min: Math.min(range.min, value),
+    max: Math.max(range.max, value)
+});
+
+/**
+ * Validates stored ranges, keeping the default for any missing or invalid
+ * entry. Steps are not user-editable, so they always come from the defaults.
+ */
+export const sanitizeRanges = (raw = {}) => Object.fromEntries(
+    Object.entries(DEFAULT_RANGES).map(([key, range]) => {
+        const stored = raw && raw[key];
+        const candidate = stored ? { min: Number(stored.min), max: Number(stored.max) } : null;
+        return [key, candidate && !validateRange(candidate, key) ? { ...range, ...candidate } : range];
+    })
+);
@@ -0,0 +1,57 @@
+import { DEFAULT_RANGES, effectiveRange, sanitizeRanges, validateRange, validateValue } from './ranges';
+
+describe('validateValue', () => {
+    test('accepts values outside the slider range but inside the hard limits', () => {
+        expect(validateValue('3.9', 'interestRate')).toBeNull();
+        expect(validateValue('84', 'loanTerm')).toBeNull();
+        expect(validateValue('150000', 'purchasePrice')).toBeNull();
+    });
+
+    test('covers the purchase costs and mileage inputs', () => {
+        expect(validateValue('75', 'downPaymentPercent')).toBeNull();
+        expect(validateValue('120', 'downPaymentPercent')).toBe('Must be between 0 and 100');
+        expect(validateValue('120000', 'tradeInCredit')).toBeNull();
+        expect(validateValue('15.5', 'salesTaxRate')).toBeNull();
+        expect(validateValue('25000', 'fees')).toBeNull();
+        expect(validateValue('15000', 'monthlyMiles')).toBeNull();
+        expect(validateValue('25000', 'monthlyMiles')).toBe('Must be between 0 and 20000');
+        expect(validateValue('-1', 'salvageFloor')).toBe('Must be between 0 and 100');
+    });
+
+    test('explains what is wrong with a bad value', () => {
+        expect(validateValue('', 'interestRate')).toBe('Enter a value');
+        expect(validateValue('abc', 'interestRate')).toBe('Enter a number');
+        expect(validateValue('48.5', 'loanTerm')).toBe('Enter a whole number');
+        expect(validateValue('45', 'interestRate')).toBe('Must be between 0 and 30');
+    });
+});
+
+describe('validateRange', () => {
+    test('requires min below max within the hard limits', () => {
+        expect(validateRange({ min: 24, max: 84 }, 'loanTerm')).toBeNull();
+        expect(validateRange({ min: 60, max: 36 }, 'loanTerm')).toBe('Minimum must be below maximum');
+        expect(validateRange({ min: 1, max: 200 }, 'loanTerm')).toBe('Range must stay within 1 to 120');
+    });
+});
+
+describe('effectiveRange', () => {
+    test('stretches to include the current value', () => {
+        expect(effectiveRange(DEFAULT_RANGES.loanTerm, 84)).toEqual({ min: 36, max: 84, step: 1 });
+        expect(effectiveRange(DEFAULT_RANGES.interestRate, 6.8)).toEqual(DEFAULT_RANGES.interestRate);
+    });
+});
+
+describe('sanitizeRanges', () => {
+    test('keeps valid widened ranges and restores defaults for bad ones', () => {
+        const ranges = sanitizeRanges({
+            loanTerm: { min: 12, max: 96, step: 7 },
+            interestRate: { min: 10, max: 2 },
+            purchasePrice: 'wide'
+        });
+
+        expect(ranges.loanTerm).toEqual({ min: 12, max: 96, step: 1 });
+        expect(ranges.interestRate).toEqual(DEFAULT_RANGES.interestRate);
+        expect(ranges.purchasePrice).toEqual(DEFAULT_RANGES.purchasePrice);
+        expect(sanitizeRanges(null)).toEqual(DEFAULT_RANGES);
+    });
+});
@@ -0,0 +1,140 @@
+import { calculateData } from './calculateData';
+import { pickPurchaseCosts } from './fleet';
+
+/**
+ * Rolling fleet replacement simulation. Each vehicle class is bought at its
+ * `startMonth`, held until the replacement policy says to sell, then sold at
+ * its projected value (paying off the remaining loan) and re-bought at the
+ * escalated price of the day. This repeats until the horizon.
+ *
+ * Policies: 'none' (hold forever), 'age' (sell at `replaceAtMonth`) and
+ * 'mileage' (sell once `mileageThreshold` is reached at the class's
+ * `monthlyMiles`).
+ */
+
+export const REPLACEMENT_POLICIES = ['none', 'age', 'mileage'];
+
+export const DEFAULT_REPLACEMENT_POLICY = {
+    type: 'none',
+    replaceAtMonth: 60,
+    mileageThreshold: 150000,
+    priceEscalation: 0
+};
+
+export const DEFAULT_SIMULATION_HORIZON = 120;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+export const replacementAge = (vehicleClass, policy) => {
+    if (policy.type === 'age') {
+        return Math.max(1, Math.round(policy.replaceAtMonth));
+    }
+    if (policy.type === 'mileage') {
+        return Math.max(1, Math.ceil(policy.mileageThreshold / Math.max(1, vehicleClass.monthlyMiles || 0)));
+    }
+    return Infinity;
+};
+
+export const escalatedPrice = (price, annualEscalation, month) => (
+    price * Math.pow(1 + annualEscalation / 100, month / 12)
+);
+
+const emptyRow = (month) => ({
+    month,
+    vehicleValue: 0,
+    loanBalance: 0,
+    equity: 0,
+    loanPayments: 0,
+    interestPayment: 0,
+    acquisitionCash: 0,
+    saleProceeds: 0,
+    loanPayoff: 0,
+    cashOutflow: 0,
+    vehiclesOwned: 0,
+    purchases: 0,
+    replacements: 0
+});
+
+export const simulateFleet = (fleetInputs, policy = DEFAULT_REPLACEMENT_POLICY, horizon = DEFAULT_SIMULATION_HORIZON) => {
+    const purchaseCosts = pickPurchaseCosts(fleetInputs);
+    const data = Array.from({ length: horizon + 1 }, (_, month) => emptyRow(month));
+    const lots = [];
+
+    fleetInputs.vehicleClasses.forEach((vehicleClass) => {
+        const firstPurchase = vehicleClass.startMonth || 0;
+        const cycle = replacementAge(vehicleClass, policy);
+        let start = firstPurchase;
+
+        while (start <= horizon) {
+            const isReplacement = start > firstPurchase;
+            const sold = start + cycle <= horizon;
+            const length = sold ? cycle : horizon - start;
+            const price = escalatedPrice(vehicleClass.purchasePrice, policy.priceEscalation, start);
+            // The outgoing vehicles are sold outright, so the trade-in credit
+            // only applies to the first purchase.
+            const result = calculateData({
+                ...purchaseCosts,
+                ...vehicleClass,
+                ...(isReplacement ? { tradeInCredit: 0 } : {}),
+                purchasePrice: price,
+                horizon: length
+            });
+
+            for (let age = 0; age < result.data.length; age++) {
+                const lotRow = result.data[age];
+                const row = data[start + age];
+                row.loanPayments += lotRow.payment;
+                row.interestPayment += lotRow.interestPayment;
+                if (age === 0) {
+                    row.acquisitionCash += result.downPayment;
+                    row.purchases += vehicleClass.numVehicles;
+                    if (isReplacement) row.replacements += vehicleClass.numVehicles;
+                }
+                if (sold && age === length) {
+                    row.saleProceeds += lotRow.vehicleValue;
+                    row.loanPayoff += lotRow.loanBalance;
+                    continue;
+                }
+                row.vehicleValue += lotRow.vehicleValue;
+                row.loanBalance += lotRow.loanBalance;
+                row.vehiclesOwned += vehicleClass.numVehicles;
+            }
+
+            lots.push({
+                classId: vehicleClass.id,
+                name: vehicleClass.name,
+                startMonth: start,
+                saleMonth: sold ? start + cycle : null,
+                purchasePrice: price,
+                numVehicles: vehicleClass.numVehicles
+            });
+
+            if (!Number.isFinite(cycle)) break;
+            start += cycle;
+        }
+    });
+
+    let totalCashOutflow = 0;
+    let totalInterest = 0;
+    data.forEach((row) => {
+        row.equity = row.vehicleValue - row.loanBalance;
+        row.cashOutflow = roundCents(row.loanPayments + row.acquisitionCash + row.loanPayoff - row.saleProceeds);
+        row.loanPayments = roundCents(row.loanPayments);
+        row.interestPayment = roundCents(row.interestPayment);
+        totalCashOutflow += row.cashOutflow;
+        totalInterest += row.interestPayment;
+        row.cumulativeCashOutflow = roundCents(totalCashOutflow);
+    });
+
+    return {
+        data,
+        lots,
+        horizon,
+        totalCashOutflow,
+        totalInterest,
+        replacements: data.reduce((total, row) => total + row.replacements, 0),
+        peakDebt: Math.max(...data.map((row) => row.loanBalance)),
+        finalValue: data[horizon].vehicleValue,
+        finalEquity: data[horizon].equity
+    };
+};
@@ -0,0 +1,59 @@
+import { calculateData } from './calculateData';
+import { calculateFleetData, createVehicleClass } from './fleet';
+import { escalatedPrice, replacementAge, simulateFleet } from './replacement';
+
+const vans = createVehicleClass({ id: 'vans', numVehicles: 10, purchasePrice: 50000, loanTerm: 48, monthlyMiles: 2500 });
+
+describe('replacementAge', () => {
+    test('uses the fixed age or the month the mileage threshold is reached', () => {
+        expect(replacementAge(vans, { type: 'age', replaceAtMonth: 36 })).toBe(36);
+        expect(replacementAge(vans, { type: 'mileage', mileageThreshold: 100000 })).toBe(40);
+        expect(replacementAge(vans, { type: 'none' })).toBe(Infinity);
+    });
+});
+
+describe('simulateFleet', () => {
+    test('holding with no replacement matches the fleet projection', () => {
+        const simulation = simulateFleet({ vehicleClasses: [vans] }, { type: 'none', priceEscalation: 0 }, 120);
+        const fleet = calculateFleetData({ vehicleClasses: [vans] });
+
+        expect(simulation.data).toHaveLength(121);
+        expect(simulation.data[30].vehicleValue).toBe(fleet.data[30].vehicleValue);
+        expect(simulation.data[30].loanBalance).toBe(fleet.data[30].loanBalance);
+        expect(simulation.data[30].cashOutflow).toBeCloseTo(fleet.monthlyPayment, 2);
+        expect(simulation.data[100].loanBalance).toBe(0);
+        expect(simulation.replacements).toBe(0);
+    });
+
+    test('staggered batches contribute nothing before their start month', () => {
+        const later = { ...vans, id: 'later', startMonth: 24 };
+        const simulation = simulateFleet({ vehicleClasses: [vans, later] }, { type: 'none', priceEscalation: 0 }, 96);
+
+        expect(simulation.data[23].vehiclesOwned).toBe(10);
+        expect(simulation.data[24].vehiclesOwned).toBe(20);
+        expect(simulation.data[24].vehicleValue - simulation.data[23].vehicleValue).toBeGreaterThan(400000);
+    });
+
+    test('sells and re-buys at the escalated price on the replacement cycle', () => {
+        const policy = { type: 'age', replaceAtMonth: 36, priceEscalation: 3 };
+        const simulation = simulateFleet({ vehicleClasses: [vans], downPayment: 10 }, policy, 100);
+        const [first, second, third] = simulation.lots;
+        const saleRow = simulation.data[36];
+
+        expect(simulation.lots).toHaveLength(3);
+        expect(first.saleMonth).toBe(36);
+        expect(third.saleMonth).toBeNull();
+        expect(second.purchasePrice).toBeCloseTo(escalatedPrice(50000, 3, 36));
+        expect(saleRow.replacements).toBe(10);
+        expect(saleRow.vehicleValue).toBeCloseTo(10 * second.purchasePrice, 0);
+        const firstLot = calculateData({ ...vans, downPayment: 10 }).data[36];
+
+        expect(saleRow.saleProceeds).toBe(firstLot.vehicleValue);
+        expect(saleRow.loanPayoff).toBe(firstLot.loanBalance);
+        expect(saleRow.cashOutflow).toBeCloseTo(
+            saleRow.loanPayments + saleRow.acquisitionCash + saleRow.loanPayoff - saleRow.saleProceeds,
+            2
+        );
+        expect(simulation.replacements).toBe(20);
+    });
+});
@@ -0,0 +1,258 @@
+import { DEFAULT_CURRENCY_SETTINGS } from './currency';
+import { ANNUAL_RATE_MODELS, DEPRECIATION_MODEL_LABELS } from './depreciation';
+import { EXTRA_PAYMENT_REPEATS } from './loanEvents';
+import { formatProbability } from './monteCarlo';
+import { SCHEDULE_COLUMNS } from './scheduleExport';
+
+/**
+ * Builds the standalone, print-ready HTML report for a scenario. Everything
+ * is inlined (styles and the chart SVG) so the file can be attached to an
+ * approval as-is or printed to PDF by the browser; see download.js for the
+ * DOM side.
+ */
+
+export const escapeHTML = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const describeRate = (vehicleClass) => {
+    if (vehicleClass.depreciationModel === 'custom') return 'From fitted resale curve';
+    const period = ANNUAL_RATE_MODELS.includes(vehicleClass.depreciationModel) ? 'year' : 'month';
+    return `${vehicleClass.depreciationRate.toFixed(1)}% per ${period}`;
+};
+
+const describeRepeat = (repeatEvery) => {
+    const repeat = EXTRA_PAYMENT_REPEATS.find((option) => option.value === repeatEvery);
+    return repeat ? repeat.label.toLowerCase() : `every ${repeatEvery} months`;
+};
+
+const describeLoanEvents = (vehicleClass, formatCurrency) => {
+    const items = (vehicleClass.extraPayments || []).map((extra) => ({
+        label: 'Extra principal',
+        value: extra.repeatEvery > 0
+            ? `${formatCurrency(extra.amount)} ${describeRepeat(extra.repeatEvery)} from month ${extra.month}`
+            : `${formatCurrency(extra.amount)} in month ${extra.month}`
+    }));
+    if (vehicleClass.balloonPayment > 0) {
+        items.push({ label: 'Balloon payment', value: formatCurrency(vehicleClass.balloonPayment) });
+    }
+    if (vehicleClass.refinance) {
+        const { month, interestRate, loanTerm } = vehicleClass.refinance;
+        items.push({ label: 'Refinance', value: `After month ${month} at ${interestRate.toFixed(2)}% for ${loanTerm} months` });
+    }
+    return items;
+};
+
+/**
+ * Flattens the scenario inputs into label/value sections: one per vehicle
+ * class followed by the shared purchase costs.
+ */
+export const describeReportInputs = (inputs, formatCurrency) => {
+    const classSections = inputs.vehicleClasses.map((vehicleClass) => ({
+        title: vehicleClass.name,
+        items: [
+            { label: 'Vehicles', value: vehicleClass.numVehicles },
+            { label: 'Purchase price (per vehicle)', value: formatCurrency(vehicleClass.purchasePrice) },
+            {
+                label: 'Depreciation model',
+                value: DEPRECIATION_MODEL_LABELS[vehicleClass.depreciationModel] || vehicleClass.depreciationModel
+            },
+            { label: 'Depreciation rate', value: describeRate(vehicleClass) },
+            { label: 'Loan term', value: `${vehicleClass.loanTerm} months` },
+            { label: 'Interest rate', value: `${vehicleClass.interestRate.toFixed(2)}% annual` },
+            { label: 'Purchase month', value: vehicleClass.startMonth || 0 },
+            ...describeLoanEvents(vehicleClass, formatCurrency)
+        ]
+    }));
+
+    const downPayment = inputs.downPaymentType === 'percent'
+        ? `${inputs.downPayment}% of price`
+        : formatCurrency(inputs.downPayment);
+
+    return [
+        ...classSections,
+        {
+            title: 'Purchase costs (per vehicle)',
+            items: [
+                { label: 'Down payment', value: downPayment },
+                { label: 'Trade-in credit', value: formatCurrency(inputs.tradeInCredit) },
+                { label: 'Sales tax', value: `${inputs.salesTaxRate}%` },
+                { label: 'Fees', value: formatCurrency(inputs.fees) }
+            ]
+        }
+    ];
+};
+
+/**
+ * The Key Insights panel as label/value pairs, in the same order as the app,
+ * followed by the Monte Carlo results when a `simulation` has been run.
+ */
+export const describeReportInsights = ({ insights, underwater, numVehicles, formatCurrency, simulation = null }) => {
+    const perVehicle = (value) => (numVehicles > 1 ? `${formatCurrency(value / numVehicles)} per vehicle` : '');
+    const breakEven = underwater.breakEvenMonth !== null
+        ? `Month ${underwater.breakEvenMonth}`
+        : underwater.monthsUnderwater === 0 ? 'From day one' : 'Not reached';
+
+    const items = [
+        {
+            label: numVehicles === 1 ? 'Vehicle Value After 1 Year' : 'Fleet Value After 1 Year',
+            value: formatCurrency(insights.valueAfterOneYear),
+            detail: perVehicle(insights.valueAfterOneYear)
+        },
+        {
+            label: 'Loan Balance at End of Term',
+            value: formatCurrency(insights.endOfTermBalance),
+            detail: perVehicle(insights.endOfTermBalance)
+        },
+        {
+            label: 'Final Equity Position',
+            value: formatCurrency(insights.finalEquity),
+            detail: perVehicle(insights.finalEquity)
+        },
+        {
+            label: 'Time Underwater',
+            value: underwater.monthsUnderwater === 0 ? 'Never' : `${underwater.monthsUnderwater} months`,
+            detail: underwater.periods.map((period) => (
+                period.start === period.end ? `month ${period.start}` : `months ${period.start}-${period.end}`
+            )).join(', ')
+        },
+        { label: 'Equity Turns Positive', value: breakEven, detail: '' },
+        {
+            label: 'Worst Negative Equity',
+            value: formatCurrency(underwater.worstMonth !== null ? underwater.worstEquity : 0),
+            detail: underwater.worstMonth !== null ? `at month ${underwater.worstMonth}` : ''
+        }
+    ];
+    if (!simulation) return items;
+
+    const { endOfTermEquity } = simulation;
+    return [
+        ...items,
+        {
+            label: `Chance Underwater at End of Term (month ${simulation.endOfTermMonth})`,
+            value: formatProbability(simulation.probabilityUnderwaterAtEnd),
+            detail: `${simulation.paths} simulated paths`
+        },
+        {
+            label: 'Chance of Going Underwater',
+            value: formatProbability(simulation.probabilityEverUnderwater),
+            detail: 'at any point during the term'
+        },
+        {
+            label: 'Simulated Equity at End of Term (P50)',
+            value: formatCurrency(endOfTermEquity.p50),
+            detail: `P10 ${formatCurrency(endOfTermEquity.p10)} · P90 ${formatCurrency(endOfTermEquity.p90)}`
+        }
+    ];
+};
+
+// Recharts draws its legend as HTML, so the serialized SVG needs its own.
+export const CHART_LEGEND = [
+    { label: 'Vehicle Value', color: '#ef4444' },
+    { label: 'Loan Balance', color: '#3b82f6' },
+    { label: 'Equity', color: '#10b981' }
+];
+
+export const SIMULATION_LEGEND = [
+    { label: 'Vehicle Value P10–P90 (P50 dotted)', color: 'rgba(239, 68, 68, 0.3)' },
+    { label: 'Equity P10–P90 (P50 dotted)', color: 'rgba(16, 185, 129, 0.3)' }
+];
+
+const REPORT_STYLES = `
+    body { font-family: -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #1f2937; margin: 32px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+    h3 { font-size: 13px; margin: 12px 0 4px; }
+    .meta { color: #6b7280; font-size: 12px; }
+    .inputs { display: flex; flex-wrap: wrap; gap: 8px 32px; }
+    .inputs dl { display: grid; grid-template-columns: auto auto; gap: 2px 12px; margin: 0; font-size: 12px; }
+    .inputs dt { color: #6b7280; }
+    .insights { display: grid; grid-template-columns: repeat(3, 1fr); gap: 8px; }
+    .insight { border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px; text-align: center; }
+    .insight .value { font-size: 16px; font-weight: 700; }
+    .insight .label, .insight .detail { font-size: 11px; color: #6b7280; }
+    .chart svg { width: 100%; height: auto; }
+    .legend { display: flex; justify-content: center; gap: 16px; font-size: 12px; }
+    .legend span::before { content: ''; display: inline-block; width: 12px; height: 3px; margin-right: 4px; vertical-align: middle; background: var(--color); }
+    table { border-collapse: collapse; width: 100%; font-size: 10px; }
+    th, td { border: 1px solid #e5e7eb; padding: 2px 4px; text-align: right; }
+    th { background: #f3f4f6; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+    @media print {
+        body { margin: 0; }
+        .chart, .insights { page-break-inside: avoid; }
+    }
+`;
+
+export const buildReportHTML = ({
+    title,
+    generatedAt = new Date(),
+    inputs,
+    insights,
+    chartSvg = '',
+    legend = CHART_LEGEND,
+    rows,
+    columns = SCHEDULE_COLUMNS,
+    formatCurrency,
+    locale = DEFAULT_CURRENCY_SETTINGS.locale
+}) => {
+    const inputSections = inputs.map((section) => `
+        <div>
+            <h3>${escapeHTML(section.title)}</h3>
+            <dl>${section.items.map((item) => `<dt>${escapeHTML(item.label)}</dt><dd>${escapeHTML(item.value)}</dd>`).join('')}</dl>
+        </div>`).join('');
+
+    const insightCards = insights.map((insight) => `
+        <div class="insight">
+            <div class="value">${escapeHTML(insight.value)}</div>
+            <div class="label">${escapeHTML(insight.label)}</div>
+            ${insight.detail ? `<div class="detail">${escapeHTML(insight.detail)}</div>` : ''}
+        </div>`).join('');
+
+    const legendItems = legend.map((item) => (
+        `<span style="--color: ${escapeHTML(item.color)}">${escapeHTML(item.label)}</span>`
+    )).join('');
+
+    const header = columns.map((column) => `<th>${escapeHTML(column.label)}</th>`).join('');
+    const body = rows.map((row) => `<tr>${columns.map((column) => (
+        `<td>${escapeHTML(column.key === 'month' ? row.month : formatCurrency(row[column.key], 2))}</td>`
+    )).join('')}</tr>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<div class="meta">Generated ${escapeHTML(generatedAt.toLocaleString(locale))}</div>
+
+<h2>Scenario Inputs</h2>
+<div class="inputs">${inputSections}
+</div>
+
+<h2>Value, Loan Balance &amp; Equity</h2>
+<div class="chart">${chartSvg}</div>
+<div class="legend">${legendItems}</div>
+
+<h2>Key Insights</h2>
+<div class="insights">${insightCards}
+</div>
+
+<h2>Month-by-Month Projection</h2>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,130 @@
+import { buildReportHTML, describeReportInputs, describeReportInsights, escapeHTML } from './report';
+import { calculateFleetData } from './fleet';
+import { sanitizeScenario } from './scenarioState';
+import { getKeyInsights } from './scenarios';
+import { analyzeUnderwater } from './underwater';
+
+const formatCurrency = (value, fractionDigits = 0) => `$${Number(value).toFixed(fractionDigits)}`;
+
+const scenario = sanitizeScenario({
+    vehicleClasses: [{ name: 'Vans <LWB>', numVehicles: 2, loanTerm: 48 }],
+    fees: 500
+});
+const result = calculateFleetData(scenario);
+
+describe('escapeHTML', () => {
+    test('escapes markup characters', () => {
+        expect(escapeHTML('<a href="x">Tom & Jerry\'s</a>')).toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+        expect(escapeHTML(undefined)).toBe('');
+    });
+});
+
+describe('describeReportInputs', () => {
+    test('lists each vehicle class and the purchase costs', () => {
+        const sections = describeReportInputs(scenario, formatCurrency);
+
+        expect(sections.map((section) => section.title)).toEqual(['Vans <LWB>', 'Purchase costs (per vehicle)']);
+        expect(sections[0].items).toContainEqual({ label: 'Loan term', value: '48 months' });
+        expect(sections[0].items).toContainEqual({ label: 'Depreciation rate', value: '1.0% per month' });
+        expect(sections[1].items).toContainEqual({ label: 'Fees', value: '$500' });
+    });
+
+    test('includes any extra payments, balloon and refinance', () => {
+        const [section] = describeReportInputs(sanitizeScenario({
+            vehicleClasses: [{
+                extraPayments: [{ month: 12, amount: 200, repeatEvery: 1 }],
+                balloonPayment: 10000,
+                refinance: { month: 24, interestRate: 4.5, loanTerm: 36 }
+            }]
+        }), formatCurrency);
+
+        expect(section.items.slice(-3)).toEqual([
+            { label: 'Extra principal', value: '$200 monthly from month 12' },
+            { label: 'Balloon payment', value: '$10000' },
+            { label: 'Refinance', value: 'After month 24 at 4.50% for 36 months' }
+        ]);
+    });
+});
+
+describe('describeReportInsights', () => {
+    test('mirrors the Key Insights panel', () => {
+        const insights = describeReportInsights({
+            insights: getKeyInsights(result),
+            underwater: analyzeUnderwater(result.data),
+            numVehicles: 2,
+            formatCurrency
+        });
+
+        expect(insights.map((insight) => insight.label)).toEqual([
+            'Fleet Value After 1 Year',
+            'Loan Balance at End of Term',
+            'Final Equity Position',
+            'Time Underwater',
+            'Equity Turns Positive',
+            'Worst Negative Equity'
+        ]);
+        expect(insights[0].value).toBe(formatCurrency(result.data[12].vehicleValue));
+        expect(insights[0].detail).toBe(`${formatCurrency(result.data[12].vehicleValue / 2)} per vehicle`);
+    });
+    test('adds the Monte Carlo results when a simulation was run', () => {
+        const insights = describeReportInsights({
+            insights: getKeyInsights(result),
+            underwater: analyzeUnderwater(result.data),
+            numVehicles: 2,
+            formatCurrency,
+            simulation: {
+                paths: 1000,
+                endOfTermMonth: 48,
+                probabilityUnderwaterAtEnd: 0.125,
+                probabilityEverUnderwater: 0.5,
+                endOfTermEquity: { p10: 100, p50: 200, p90: 300 }
+            }
+        });
+
+        expect(insights).toHaveLength(9);
+        expect(insights[6]).toEqual({
+            label: 'Chance Underwater at End of Term (month 48)',
+            value: '12.5%',
+            detail: '1000 simulated paths'
+        });
+        expect(insights[7].value).toBe('50.0%');
+        expect(insights[8].detail).toBe('P10 $100 · P90 $300');
+    });
+});
+
+describe('buildReportHTML', () => {
+    test('produces a standalone document with the chart, insights and every month', () => {
+        const html = buildReportHTML({
+            title: 'Fleet <report>',
+            generatedAt: new Date(2024, 0, 15),
+            inputs: describeReportInputs(scenario, formatCurrency),
+            insights: [{ label: 'Final Equity Position', value: '$1', detail: '' }],
+            chartSvg: '<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+            rows: result.data,
+            formatCurrency
+        });
+
+        expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+        expect(html).toContain('<title>Fleet &lt;report&gt;</title>');
+        expect(html).toContain('Vans &lt;LWB&gt;');
+        expect(html).toContain('<div class="chart"><svg xmlns="http://www.w3.org/2000/svg"></svg></div>');
+        expect(html).toContain('Final Equity Position');
+        expect(html.match(/<tr>/g)).toHaveLength(result.data.length + 1);
+        expect(html).toContain(`<td>${formatCurrency(result.data[48].equity, 2)}</td>`);
+        expect(html).not.toMatch(/<link|<script/);
+    });
+
+    test('dates the report in the selected locale', () => {
+        const html = buildReportHTML({
+            title: 'Fleet',
+            generatedAt: new Date(2024, 0, 15),
+            inputs: [],
+            insights: [],
+            rows: [],
+            formatCurrency,
+            locale: 'de-DE'
+        });
+
+        expect(html).toContain(`Generated ${new Date(2024, 0, 15).toLocaleString('de-DE')}`);
+    });
+});
@@ -0,0 +1,282 @@
+import { DEPRECIATION_MODELS, MAX_HEAVY_USE_MULTIPLIER } from './depreciation';
+import { CURVE_TYPES } from './curveFit';
+import { CURRENCIES } from './currency';
+import { DEFAULT_PURCHASE_COSTS, createVehicleClass } from './fleet';
+
+/**
+ * Validation and URL encoding of the full scenario
+ * ({ vehicleClasses, ...purchaseCosts }).
+ *
+ * The first vehicle class uses plain, readable query keys
+ * (`model=heavyuse&rate=1.2&term=48&interest=7.2&price=65000&vehicles=1`);
+ * further classes repeat them with a `.n` suffix (`model.1=annual`) and
+ * `classes=n` gives the count. Anything missing falls back to the default,
+ * and out-of-range numbers are clamped rather than rejected.
+ */
+
+export const MAX_VEHICLE_CLASSES = 20;
+
+export const CLASS_FIELDS = [
+    { key: 'name', param: 'name', type: 'string' },
+    { key: 'depreciationModel', param: 'model', type: 'enum', values: DEPRECIATION_MODELS },
+    { key: 'depreciationRate', param: 'rate', min: 0, max: 100 },
+    { key: 'loanTerm', param: 'term', min: 1, max: 120, integer: true },
+    { key: 'interestRate', param: 'interest', min: 0, max: 30 },
+    { key: 'purchasePrice', param: 'price', min: 0, max: 10000000 },
+    { key: 'numVehicles', param: 'vehicles', min: 1, max: 10000, integer: true },
+    { key: 'startMonth', param: 'start', min: 0, max: 240, integer: true },
+    { key: 'monthlyMiles', param: 'miles', min: 0, max: 20000 },
+    { key: 'perMilePenalty', param: 'ppm', min: 0, max: 5 },
+    { key: 'salvageFloor', param: 'floor', min: 0, max: 100 },
+    { key: 'heavyUseTiers', param: 'tiers', type: 'tiers' },
+    { key: 'customCurve', param: 'curve', type: 'curve' },
+    { key: 'extraPayments', param: 'extra', type: 'extraPayments' },
+    { key: 'balloonPayment', param: 'balloon', min: 0, max: 10000000 },
+    { key: 'refinance', param: 'refi', type: 'refinance' },
+    { key: 'currency', param: 'currency', type: 'enum', values: CURRENCIES }
+];
+
+export const MAX_EXTRA_PAYMENTS = 24;
+
+export const PURCHASE_COST_FIELDS = [
+    { key: 'downPayment', param: 'down', min: 0, max: 10000000 },
+    { key: 'downPaymentType', param: 'downType', type: 'enum', values: ['percent', 'dollars'] },
+    { key: 'tradeInCredit', param: 'tradeIn', min: 0, max: 10000000 },
+    { key: 'salesTaxRate', param: 'tax', min: 0, max: 30 },
+    { key: 'fees', param: 'fees', min: 0, max: 1000000 },
+    { key: 'purchaseCurrency', param: 'costCurrency', type: 'enum', values: CURRENCIES }
+];
+
+// Always written to the URL so a shared link reads as the scenario it is.
+const CORE_PARAMS = ['model', 'rate', 'term', 'interest', 'price', 'vehicles'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const sanitizeNumber = (value, field, fallback) => {
+    const number = typeof value === 'number' ? value : Number(value);
+    if (value === null || value === undefined || value === '' || !Number.isFinite(number)) return fallback;
+    const clamped = clamp(number, field.min, field.max);
+    return field.integer ? Math.round(clamped) : clamped;
+};
+
+const sanitizeTiers = (tiers, fallback) => {
+    if (!Array.isArray(tiers)) return fallback;
+    const valid = [];
+    tiers.forEach((tier) => {
+        const throughMonth = Math.round(Number(tier?.throughMonth));
+        const multiplier = Number(tier?.multiplier);
+        const previous = valid.length ? valid[valid.length - 1].throughMonth : 0;
+        if (Number.isFinite(throughMonth) && throughMonth > previous && Number.isFinite(multiplier) && multiplier >= 0) {
+            valid.push({ throughMonth, multiplier: Math.min(multiplier, MAX_HEAVY_USE_MULTIPLIER) });
+        }
+    });
+    return valid;
+};
+
+const sanitizeCurve = (curve) => {
+    if (!curve || !CURVE_TYPES.includes(curve.type)) return undefined;
+    if (curve.type === 'exponential') {
+        const coefficients = [curve.intercept, curve.ageRate, curve.mileRate ?? 0].map(Number);
+        if (!coefficients.every(Number.isFinite)) return undefined;
+        const [intercept, ageRate, mileRate] = coefficients;
+        return { type: 'exponential', intercept, ageRate, mileRate };
+    }
+    const knots = (Array.isArray(curve.knots) ? curve.knots : [])
+        .map((knot) => ({ ageMonths: Number(knot?.ageMonths), pricePercent: Number(knot?.pricePercent) }))
+        .filter((knot) => Number.isFinite(knot.ageMonths) && Number.isFinite(knot.pricePercent) && knot.pricePercent >= 0)
+        .sort((a, b) => a.ageMonths - b.ageMonths);
+    return knots.length ? { type: 'piecewise', knots } : undefined;
+};
+
+const sanitizeExtraPayments = (extras, fallback) => {
+    if (!Array.isArray(extras)) return fallback;
+    return extras
+        .map((extra) => ({
+            month: Math.round(Number(extra?.month)),
+            amount: Number(extra?.amount),
+            repeatEvery: Math.round(Number(extra?.repeatEvery) || 0)
+        }))
+        .filter((extra) => extra.month >= 1 && extra.month <= 360 && extra.amount > 0 && extra.repeatEvery >= 0)
+        .map((extra) => ({ ...extra, amount: Math.min(extra.amount, 10000000), repeatEvery: Math.min(extra.repeatEvery, 120) }))
+        .slice(0, MAX_EXTRA_PAYMENTS);
+};
+
+const sanitizeRefinance = (refinance) => {
+    if (!refinance) return null;
+    const month = Math.round(Number(refinance.month));
+    const interestRate = Number(refinance.interestRate);
+    const loanTerm = Math.round(Number(refinance.loanTerm));
+    if (![month, interestRate, loanTerm].every(Number.isFinite) || month < 1 || loanTerm < 1) return null;
+    return { month: Math.min(month, 120), interestRate: clamp(interestRate, 0, 30), loanTerm: Math.min(loanTerm, 120) };
+};
+
+const sanitizeField = (field, value, fallback) => {
+    if (field.type === 'string') {
+        return typeof value === 'string' && value.trim() ? value.trim().slice(0, 60) : fallback;
+    }
+    if (field.type === 'enum') return field.values.includes(value) ? value : fallback;
+    if (field.type === 'tiers') return sanitizeTiers(value, fallback);
+    if (field.type === 'curve') return sanitizeCurve(value);
+    if (field.type === 'extraPayments') return sanitizeExtraPayments(value, fallback);
+    if (field.type === 'refinance') return sanitizeRefinance(value);
+    return sanitizeNumber(value, field, fallback);
+};
+
+// What a class at `index` falls back to; the URL only carries differences
+// from this, so encoding and decoding must agree on it.
+const classDefaults = (index) => createVehicleClass({
+    id: `class${index + 1}`,
+    ...(index > 0 && { name: `Class ${index + 1}` })
+});
+
+/**
+ * Returns a complete, valid scenario from anything scenario-shaped (parsed
+ * URL params, localStorage, an older saved scenario). Class ids are
+ * reassigned as class1, class2, ...
+ */
+export const sanitizeScenario = (raw = {}) => {
+    const rawClasses = Array.isArray(raw.vehicleClasses) && raw.vehicleClasses.length
+        ? raw.vehicleClasses.slice(0, MAX_VEHICLE_CLASSES)
+        : [{}];
+
+    const vehicleClasses = rawClasses.map((rawClass, index) => {
+        const defaults = classDefaults(index);
+        const vehicleClass = { ...defaults };
+        CLASS_FIELDS.forEach((field) => {
+            const value = sanitizeField(field, rawClass?.[field.key], defaults[field.key]);
+            if (value === undefined) delete vehicleClass[field.key];
+            else vehicleClass[field.key] = value;
+        });
+        return vehicleClass;
+    });
+
+    const purchaseCosts = PURCHASE_COST_FIELDS.reduce((costs, field) => ({
+        ...costs,
+        [field.key]: sanitizeField(field, raw[field.key], DEFAULT_PURCHASE_COSTS[field.key])
+    }), {});
+    if (purchaseCosts.downPaymentType === 'percent') {
+        purchaseCosts.downPayment = Math.min(100, purchaseCosts.downPayment);
+    }
+
+    return { vehicleClasses, ...purchaseCosts };
+};
+
+const formatNumber = (value) => String(Number(value.toPrecision(12)));
+
+const encodeTiers = (tiers) => tiers.map((tier) => `${tier.throughMonth}:${formatNumber(tier.multiplier)}`).join(',');
+
+const decodeTiers = (text) => text.split(',').filter(Boolean).map((part) => {
+    const [throughMonth, multiplier] = part.split(':');
+    return { throughMonth: Number(throughMonth), multiplier: Number(multiplier) };
+});
+
+const encodeCurve = (curve) => (curve.type === 'exponential'
+    ? `exp:${[curve.intercept, curve.ageRate, curve.mileRate].map(String).join(',')}`
+    : `pw:${curve.knots.map((knot) => `${formatNumber(knot.ageMonths)}:${formatNumber(knot.pricePercent)}`).join(',')}`);
+
+const decodeCurve = (text) => {
+    const separator = text.indexOf(':');
+    const type = text.slice(0, separator);
+    const body = text.slice(separator + 1);
+    if (type === 'exp') {
+        const [intercept, ageRate, mileRate] = body.split(',').map(Number);
+        return { type: 'exponential', intercept, ageRate, mileRate };
+    }
+    if (type === 'pw') {
+        return {
+            type: 'piecewise',
+            knots: body.split(',').filter(Boolean).map((part) => {
+                const [ageMonths, pricePercent] = part.split(':');
+                return { ageMonths, pricePercent };
+            })
+        };
+    }
+    return undefined;
+};
+
+// `month:amount:repeatEvery`, comma separated; repeatEvery 0 is one-off.
+const encodeExtraPayments = (extras) => extras
+    .map((extra) => [extra.month, extra.amount, extra.repeatEvery].map(formatNumber).join(':'))
+    .join(',');
+
+const decodeExtraPayments = (text) => text.split(',').filter(Boolean).map((part) => {
+    const [month, amount, repeatEvery] = part.split(':');
+    return { month, amount, repeatEvery };
+});
+
+// `month:interestRate:loanTerm`
+const encodeRefinance = (refinance) => [refinance.month, refinance.interestRate, refinance.loanTerm].map(formatNumber).join(':');
+
+const decodeRefinance = (text) => {
+    const [month, interestRate, loanTerm] = text.split(':');
+    return { month, interestRate, loanTerm };
+};
+
+const isSameTiers = (a, b) => encodeTiers(a || []) === encodeTiers(b || []);
+
+export const encodeScenarioParams = (scenario) => {
+    const params = new URLSearchParams();
+
+    if (scenario.vehicleClasses.length > 1) params.set('classes', String(scenario.vehicleClasses.length));
+
+    scenario.vehicleClasses.forEach((vehicleClass, index) => {
+        const suffix = index === 0 ? '' : `.${index}`;
+        const defaults = classDefaults(index);
+        CLASS_FIELDS.forEach((field) => {
+            const value = vehicleClass[field.key];
+            if (value === undefined || value === null) return;
+            if (field.type === 'tiers') {
+                if (!isSameTiers(value, defaults.heavyUseTiers)) params.set(field.param + suffix, encodeTiers(value));
+            } else if (field.type === 'curve') {
+                params.set(field.param + suffix, encodeCurve(value));
+            } else if (field.type === 'extraPayments') {
+                if (value.length) params.set(field.param + suffix, encodeExtraPayments(value));
+            } else if (field.type === 'refinance') {
+                params.set(field.param + suffix, encodeRefinance(value));
+            } else if (CORE_PARAMS.includes(field.param) || value !== defaults[field.key]) {
+                params.set(field.param + suffix, typeof value === 'number' ? formatNumber(value) : value);
+            }
+        });
+    });
+
+    PURCHASE_COST_FIELDS.forEach((field) => {
+        const value = scenario[field.key];
+        if (value !== undefined && value !== DEFAULT_PURCHASE_COSTS[field.key]) {
+            params.set(field.param, typeof value === 'number' ? formatNumber(value) : value);
+        }
+    });
+
+    return params.toString();
+};
+
+/**
+ * Parses a query string or hash (leading ? or # is fine). Returns null when
+ * it holds no scenario keys at all, so callers can fall back to another
+ * source.
+ */
+export const decodeScenarioParams = (query) => {
+    const params = new URLSearchParams(query.replace(/^[#?]/, ''));
+    const known = [...CLASS_FIELDS, ...PURCHASE_COST_FIELDS].map((field) => field.param);
+    if (![...params.keys()].some((key) => known.includes(key.split('.')[0]))) return null;
+
+    const classCount = clamp(Math.round(Number(params.get('classes')) || 1), 1, MAX_VEHICLE_CLASSES);
+    const vehicleClasses = Array.from({ length: classCount }, (_, index) => {
+        const suffix = index === 0 ? '' : `.${index}`;
+        return CLASS_FIELDS.reduce((vehicleClass, field) => {
+            const value = params.get(field.param + suffix);
+            if (value === null) return vehicleClass;
+            if (field.type === 'tiers') return { ...vehicleClass, [field.key]: decodeTiers(value) };
+            if (field.type === 'curve') return { ...vehicleClass, [field.key]: decodeCurve(value) };
+            if (field.type === 'extraPayments') return { ...vehicleClass, [field.key]: decodeExtraPayments(value) };
+            if (field.type === 'refinance') return { ...vehicleClass, [field.key]: decodeRefinance(value) };
+            return { ...vehicleClass, [field.key]: value };
+        }, {});
+    });
+
+    const raw = PURCHASE_COST_FIELDS.reduce((scenario, field) => {
+        const value = params.get(field.param);
+        return value === null ? scenario : { ...scenario, [field.key]: value };
+    }, { vehicleClasses });
+
+    return sanitizeScenario(raw);
+};
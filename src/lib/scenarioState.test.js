@@ -0,0 +1,139 @@
+import { decodeScenarioParams, encodeScenarioParams, sanitizeScenario } from './scenarioState';
+import { createVehicleClass } from './fleet';
+import { fitExponential } from './curveFit';
+
+describe('sanitizeScenario', () => {
+    test('fills in defaults for an empty scenario', () => {
+        const scenario = sanitizeScenario({});
+
+        expect(scenario.vehicleClasses).toEqual([createVehicleClass()]);
+        expect(scenario.downPaymentType).toBe('percent');
+        expect(scenario.fees).toBe(0);
+    });
+
+    test('clamps out-of-range numbers and rejects unknown models', () => {
+        const scenario = sanitizeScenario({
+            vehicleClasses: [{ depreciationModel: 'rocket', interestRate: 99, loanTerm: 47.6, numVehicles: -3, purchasePrice: 'abc' }],
+            downPayment: 250,
+            downPaymentType: 'percent'
+        });
+        const [vehicleClass] = scenario.vehicleClasses;
+
+        expect(vehicleClass.depreciationModel).toBe('monthly');
+        expect(vehicleClass.interestRate).toBe(30);
+        expect(vehicleClass.loanTerm).toBe(48);
+        expect(vehicleClass.numVehicles).toBe(1);
+        expect(vehicleClass.purchasePrice).toBe(65000);
+        expect(scenario.downPayment).toBe(100);
+    });
+
+    test('drops heavy use tiers that are out of order', () => {
+        const [vehicleClass] = sanitizeScenario({
+            vehicleClasses: [{ heavyUseTiers: [{ throughMonth: 6, multiplier: 2 }, { throughMonth: 3, multiplier: 1.5 }] }]
+        }).vehicleClasses;
+
+        expect(vehicleClass.heavyUseTiers).toEqual([{ throughMonth: 6, multiplier: 2 }]);
+    });
+
+    test('keeps valid loan events and drops malformed ones', () => {
+        const [vehicleClass] = sanitizeScenario({
+            vehicleClasses: [{
+                extraPayments: [{ month: 12, amount: 500 }, { month: 0, amount: 100 }, { month: 6, amount: -5, repeatEvery: 1 }],
+                balloonPayment: -100,
+                refinance: { month: '24', interestRate: 45, loanTerm: 36 }
+            }]
+        }).vehicleClasses;
+
+        expect(vehicleClass.extraPayments).toEqual([{ month: 12, amount: 500, repeatEvery: 0 }]);
+        expect(vehicleClass.balloonPayment).toBe(0);
+        expect(vehicleClass.refinance).toEqual({ month: 24, interestRate: 30, loanTerm: 36 });
+        expect(sanitizeScenario({ vehicleClasses: [{ refinance: { month: 'x' } }] }).vehicleClasses[0].refinance).toBeNull();
+    });
+});
+
+describe('encodeScenarioParams / decodeScenarioParams', () => {
+    test('writes readable keys for a single class', () => {
+        const scenario = sanitizeScenario({
+            vehicleClasses: [{ depreciationModel: 'heavyuse', depreciationRate: 1.2, loanTerm: 48, interestRate: 7.2 }]
+        });
+        const query = encodeScenarioParams(scenario);
+
+        expect(query).toBe('model=heavyuse&rate=1.2&term=48&interest=7.2&price=65000&vehicles=1');
+        expect(decodeScenarioParams(`#${query}`)).toEqual(scenario);
+    });
+
+    test('round-trips a later class named like the first class default', () => {
+        const scenario = sanitizeScenario({
+            vehicleClasses: [{ name: 'Vans' }, { name: createVehicleClass().name }, {}]
+        });
+        const decoded = decodeScenarioParams(encodeScenarioParams(scenario));
+
+        expect(decoded.vehicleClasses.map((vehicleClass) => vehicleClass.name)).toEqual(['Vans', 'Passenger Van', 'Class 3']);
+        expect(encodeScenarioParams(scenario)).not.toContain('name.2');
+    });
+
+    test('round-trips a mixed fleet with purchase costs, tiers and a fitted curve', () => {
+        const curve = fitExponential([
+            { ageMonths: 0, mileage: 0, pricePercent: 92 },
+            { ageMonths: 24, mileage: 0, pricePercent: 70 },
+            { ageMonths: 48, mileage: 0, pricePercent: 51 }
+        ]);
+        const scenario = sanitizeScenario({
+            vehicleClasses: [
+                { name: 'Vans', numVehicles: 30, heavyUseTiers: [{ throughMonth: 3, multiplier: 2.5 }] },
+                {
+                    name: 'Buses & Shuttles',
+                    numVehicles: 2,
+                    purchasePrice: 150000,
+                    currency: 'CAD',
+                    startMonth: 12,
+                    depreciationModel: 'custom',
+                    customCurve: curve
+                }
+            ],
+            downPayment: 5000,
+            downPaymentType: 'dollars',
+            salesTaxRate: 6.25,
+            purchaseCurrency: 'EUR'
+        });
+        const decoded = decodeScenarioParams(encodeScenarioParams(scenario));
+
+        expect(decoded).toEqual(scenario);
+        expect(decoded.vehicleClasses[1].customCurve.ageRate).toBe(curve.ageRate);
+        expect(decoded.vehicleClasses[1].currency).toBe('CAD');
+        expect(decoded.vehicleClasses[0].currency).toBe('USD');
+        expect(decoded.purchaseCurrency).toBe('EUR');
+    });
+
+    test('round-trips extra payments, balloon and refinance', () => {
+        const scenario = sanitizeScenario({
+            vehicleClasses: [{
+                extraPayments: [{ month: 1, amount: 2500, repeatEvery: 0 }, { month: 12, amount: 150.5, repeatEvery: 1 }],
+                balloonPayment: 15000,
+                refinance: { month: 24, interestRate: 4.9, loanTerm: 48 }
+            }]
+        });
+        const query = encodeScenarioParams(scenario);
+
+        expect(query).toContain('extra=1%3A2500%3A0%2C12%3A150.5%3A1');
+        expect(query).toContain('balloon=15000');
+        expect(query).toContain('refi=24%3A4.9%3A48');
+        expect(decodeScenarioParams(query)).toEqual(scenario);
+    });
+
+    test('clamps bad values from a hand-edited link', () => {
+        const decoded = decodeScenarioParams('?model=annual&rate=-4&term=500&interest=abc&vehicles=2.4');
+        const [vehicleClass] = decoded.vehicleClasses;
+
+        expect(vehicleClass.depreciationModel).toBe('annual');
+        expect(vehicleClass.depreciationRate).toBe(0);
+        expect(vehicleClass.loanTerm).toBe(120);
+        expect(vehicleClass.interestRate).toBe(6.8);
+        expect(vehicleClass.numVehicles).toBe(2);
+    });
+
+    test('returns null when the query has no scenario keys', () => {
+        expect(decodeScenarioParams('')).toBeNull();
+        expect(decodeScenarioParams('?utm_source=email')).toBeNull();
+    });
+});
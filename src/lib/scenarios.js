@@ -0,0 +1,45 @@
+/**
+ * Helpers for comparing saved scenarios against the live one.
+ */
+
+export const SERIES_KEYS = ['vehicleValue', 'loanBalance', 'equity'];
+
+// Dash patterns used to tell overlaid scenarios apart; the colours stay tied
+// to the series so "red is value" still holds.
+export const SCENARIO_DASHES = ['8 4', '2 3', '12 4 2 4', '4 4', '1 6'];
+
+export const getKeyInsights = (result, endOfTermMonth = result.endOfTermMonth) => {
+    const endOfTerm = result.data[endOfTermMonth] || result.data[result.data.length - 1];
+    return {
+        valueAfterOneYear: result.data[12]?.vehicleValue || 0,
+        endOfTermBalance: endOfTerm?.loanBalance || 0,
+        finalEquity: endOfTerm?.equity || 0,
+        totalInterest: result.totalInterest || 0
+    };
+};
+
+export const seriesKey = (scenarioId, key) => `${scenarioId}_${key}`;
+
+/**
+ * Flattens the live projection and every saved scenario into one row per
+ * month so they can share a single LineChart. Scenarios with shorter
+ * horizons simply leave their keys undefined past their last month.
+ */
+export const mergeScenarioData = (baseData, scenarios) => {
+    const length = Math.max(baseData.length, ...scenarios.map((scenario) => scenario.result.data.length));
+    const merged = [];
+
+    for (let month = 0; month < length; month++) {
+        const row = { month, ...baseData[month] };
+        scenarios.forEach((scenario) => {
+            const scenarioRow = scenario.result.data[month];
+            if (!scenarioRow) return;
+            SERIES_KEYS.forEach((key) => {
+                row[seriesKey(scenario.id, key)] = scenarioRow[key];
+            });
+        });
+        merged.push(row);
+    }
+
+    return merged;
+};
@@ -0,0 +1,38 @@
+import { calculateData } from './calculateData';
+import { getKeyInsights, mergeScenarioData, seriesKey } from './scenarios';
+
+const scenario = {
+    depreciationModel: 'monthly',
+    depreciationRate: 1.0,
+    loanTerm: 60,
+    interestRate: 6.8,
+    purchasePrice: 65000,
+    numVehicles: 1
+};
+
+describe('getKeyInsights', () => {
+    test('reads the 1-year value, end-of-term figures and total interest', () => {
+        const result = calculateData(scenario);
+
+        expect(getKeyInsights(result, 60)).toEqual({
+            valueAfterOneYear: result.data[12].vehicleValue,
+            endOfTermBalance: 0,
+            finalEquity: result.data[60].equity,
+            totalInterest: result.totalInterest
+        });
+    });
+});
+
+describe('mergeScenarioData', () => {
+    test('overlays scenarios of different lengths by month', () => {
+        const base = calculateData({ ...scenario, loanTerm: 36 }).data;
+        const saved = { id: 's1', result: calculateData(scenario) };
+        const merged = mergeScenarioData(base, [saved]);
+
+        expect(merged).toHaveLength(73);
+        expect(merged[10].vehicleValue).toBe(base[10].vehicleValue);
+        expect(merged[10][seriesKey('s1', 'loanBalance')]).toBe(saved.result.data[10].loanBalance);
+        expect(merged[60].vehicleValue).toBeUndefined();
+        expect(merged[60][seriesKey('s1', 'equity')]).toBe(saved.result.data[60].equity);
+    });
+});
@@ -0,0 +1,36 @@
+/**
+ * Serializers for the amortization schedule table. Kept free of DOM access
+ * so they can be reused outside the component; see download.js for the
+ * browser side.
+ */
+
+export const SCHEDULE_COLUMNS = [
+    { key: 'month', label: 'Month' },
+    { key: 'payment', label: 'Payment' },
+    { key: 'interestPayment', label: 'Interest' },
+    { key: 'principalPayment', label: 'Principal' },
+    { key: 'extraPayment', label: 'Extra Principal' },
+    { key: 'loanBalance', label: 'Loan Balance' },
+    { key: 'cumulativeInterest', label: 'Cumulative Interest' },
+    { key: 'vehicleValue', label: 'Vehicle Value' },
+    { key: 'cumulativeDepreciation', label: 'Cumulative Depreciation' },
+    { key: 'equity', label: 'Equity' }
+];
+
+const escapeCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const scheduleToCSV = (rows, columns = SCHEDULE_COLUMNS) => {
+    const header = columns.map((column) => escapeCsvCell(column.label)).join(',');
+    const lines = rows.map((row) => columns.map((column) => escapeCsvCell(row[column.key])).join(','));
+    return [header, ...lines].join('\r\n');
+};
+
+export const scheduleToJSON = (rows, columns = SCHEDULE_COLUMNS) => JSON.stringify(
+    rows.map((row) => columns.reduce((picked, column) => ({ ...picked, [column.key]: row[column.key] }), {})),
+    null,
+    2
+);
@@ -0,0 +1,32 @@
+import { SCHEDULE_COLUMNS, scheduleToCSV, scheduleToJSON } from './scheduleExport';
+
+const rows = [
+    { month: 0, payment: 0, interestPayment: 0, principalPayment: 0, extraPayment: 0, loanBalance: 1000, cumulativeInterest: 0, vehicleValue: 1000, cumulativeDepreciation: 0, equity: 0, extra: 'x' },
+    { month: 1, payment: 90.5, interestPayment: 5.25, principalPayment: 85.25, extraPayment: 0, loanBalance: 915, cumulativeInterest: 5.25, vehicleValue: 990, cumulativeDepreciation: 10, equity: 75 }
+];
+
+describe('scheduleToCSV', () => {
+    test('writes a header and one line per row in column order', () => {
+        const lines = scheduleToCSV(rows).split('\r\n');
+
+        expect(lines).toHaveLength(3);
+        expect(lines[0]).toBe(SCHEDULE_COLUMNS.map((column) => column.label).join(','));
+        expect(lines[2]).toBe('1,90.5,5.25,85.25,0,915,5.25,990,10,75');
+    });
+
+    test('quotes cells containing commas or quotes', () => {
+        const csv = scheduleToCSV([{ name: 'Van, "15-seat"' }], [{ key: 'name', label: 'Name' }]);
+
+        expect(csv).toBe('Name\r\n"Van, ""15-seat"""');
+    });
+});
+
+describe('scheduleToJSON', () => {
+    test('keeps only the schedule columns', () => {
+        const parsed = JSON.parse(scheduleToJSON(rows));
+
+        expect(parsed).toHaveLength(2);
+        expect(Object.keys(parsed[0])).toEqual(SCHEDULE_COLUMNS.map((column) => column.key));
+        expect(parsed[1].interestPayment).toBe(5.25);
+    });
+});
@@ -0,0 +1,165 @@
+import { calculateFleetData } from './fleet';
+import { getKeyInsights } from './scenarios';
+
+/**
+ * One-way (tornado) and two-way (heatmap) sensitivity of a fleet scenario.
+ * Each input is swung around its current value in every vehicle class and
+ * the projection is re-run; the results are final equity (at the end of the
+ * loan term) and total cost (cash paid through the term less that equity,
+ * as in the lease comparison).
+ */
+
+const adjustClasses = (fleetInputs, adjust) => ({
+    ...fleetInputs,
+    vehicleClasses: fleetInputs.vehicleClasses.map((vehicleClass) => ({ ...vehicleClass, ...adjust(vehicleClass) }))
+});
+
+const scale = (value, percent) => value * (1 + percent / 100);
+
+// `swing` is the default one-way change; `unit` says how it is applied:
+// 'points' and 'months' are added, 'percent' scales the current value.
+export const SENSITIVITY_INPUTS = [
+    {
+        key: 'interestRate',
+        label: 'Interest Rate',
+        swing: 1,
+        unit: 'points',
+        apply: (inputs, change) => adjustClasses(inputs, (vehicleClass) => ({
+            interestRate: Math.max(0, vehicleClass.interestRate + change)
+        }))
+    },
+    {
+        key: 'depreciationRate',
+        label: 'Depreciation Rate',
+        swing: 20,
+        unit: 'percent',
+        apply: (inputs, change) => adjustClasses(inputs, (vehicleClass) => ({
+            depreciationRate: Math.max(0, scale(vehicleClass.depreciationRate, change))
+        }))
+    },
+    {
+        key: 'purchasePrice',
+        label: 'Purchase Price',
+        swing: 10,
+        unit: 'percent',
+        apply: (inputs, change) => adjustClasses(inputs, (vehicleClass) => ({
+            purchasePrice: Math.max(0, scale(vehicleClass.purchasePrice, change))
+        }))
+    },
+    {
+        key: 'loanTerm',
+        label: 'Loan Term',
+        swing: 12,
+        unit: 'months',
+        apply: (inputs, change) => adjustClasses(inputs, (vehicleClass) => ({
+            loanTerm: Math.max(1, vehicleClass.loanTerm + change)
+        }))
+    },
+    {
+        key: 'monthlyMiles',
+        label: 'Miles per Month',
+        swing: 25,
+        unit: 'percent',
+        apply: (inputs, change) => adjustClasses(inputs, (vehicleClass) => ({
+            monthlyMiles: Math.max(0, scale(vehicleClass.monthlyMiles, change))
+        }))
+    },
+    {
+        key: 'downPayment',
+        label: 'Down Payment',
+        swing: 50,
+        unit: 'percent',
+        apply: (inputs, change) => ({
+            ...inputs,
+            downPayment: inputs.downPaymentType === 'percent'
+                ? Math.min(100, Math.max(0, scale(inputs.downPayment, change)))
+                : Math.max(0, scale(inputs.downPayment, change))
+        })
+    }
+];
+
+export const DEFAULT_SWINGS = SENSITIVITY_INPUTS.reduce((swings, input) => ({ ...swings, [input.key]: input.swing }), {});
+
+export const findSensitivityInput = (key) => SENSITIVITY_INPUTS.find((input) => input.key === key);
+
+export const describeChange = (input, change) => {
+    if (change === 0) return 'Current';
+    const sign = change > 0 ? '+' : '−';
+    const size = Math.abs(Number(change.toPrecision(6)));
+    if (input.unit === 'points') return `${sign}${size} pts`;
+    if (input.unit === 'months') return `${sign}${size} mo`;
+    return `${sign}${size}%`;
+};
+
+export const projectionMetrics = (result) => {
+    const { finalEquity } = getKeyInsights(result);
+    const cashPaid = result.data
+        .slice(1, result.endOfTermMonth + 1)
+        .reduce((total, row) => total + row.payment, result.downPayment);
+    return { finalEquity, totalCost: cashPaid - finalEquity };
+};
+
+const runMetrics = (fleetInputs) => projectionMetrics(calculateFleetData(fleetInputs));
+
+/**
+ * One row per input with the metrics at the low and high swing and their
+ * change from the base case. Rows come back in SENSITIVITY_INPUTS order;
+ * the chart sorts them by whichever metric it shows.
+ */
+export const runTornado = (fleetInputs, swings = DEFAULT_SWINGS) => {
+    const base = runMetrics(fleetInputs);
+    const rows = SENSITIVITY_INPUTS.map((input) => {
+        const swing = swings[input.key] ?? input.swing;
+        const low = runMetrics(input.apply(fleetInputs, -swing));
+        const high = runMetrics(input.apply(fleetInputs, swing));
+        return {
+            key: input.key,
+            label: input.label,
+            lowLabel: describeChange(input, -swing),
+            highLabel: describeChange(input, swing),
+            low,
+            high,
+            finalEquity: { low: low.finalEquity - base.finalEquity, high: high.finalEquity - base.finalEquity },
+            totalCost: { low: low.totalCost - base.totalCost, high: high.totalCost - base.totalCost }
+        };
+    });
+    return { base, rows };
+};
+
+// Total cost comes first: final equity is read after the loan is repaid,
+// so it does not move with the interest rate.
+export const SENSITIVITY_METRICS = [
+    { key: 'totalCost', label: 'Total Cost' },
+    { key: 'finalEquity', label: 'Final Equity' }
+];
+
+export const HEATMAP_STEPS = [-2, -1, 0, 1, 2];
+
+/**
+ * Two-way grid of one metric: rows sweep `rowKey`, columns sweep
+ * `columnKey`, each over -2..+2 swings around the current value. It shows
+ * total cost unless asked otherwise: the loan is paid off by the end of the
+ * term, so the interest rate shows up there and not in final equity.
+ */
+export const runHeatmap = (fleetInputs, {
+    rowKey,
+    columnKey,
+    metric = SENSITIVITY_METRICS[0].key,
+    swings = DEFAULT_SWINGS,
+    steps = HEATMAP_STEPS
+}) => {
+    const rowInput = findSensitivityInput(rowKey);
+    const columnInput = findSensitivityInput(columnKey);
+    const rowChanges = steps.map((step) => step * (swings[rowKey] ?? rowInput.swing));
+    const columnChanges = steps.map((step) => step * (swings[columnKey] ?? columnInput.swing));
+
+    const cells = rowChanges.map((rowChange) => columnChanges.map((columnChange) => (
+        runMetrics(columnInput.apply(rowInput.apply(fleetInputs, rowChange), columnChange))[metric]
+    )));
+
+    return {
+        rows: rowChanges.map((change) => describeChange(rowInput, change)),
+        columns: columnChanges.map((change) => describeChange(columnInput, change)),
+        cells
+    };
+};
@@ -0,0 +1,84 @@
+import {
+    DEFAULT_SWINGS, describeChange, findSensitivityInput, projectionMetrics, runHeatmap, runTornado
+} from './sensitivity';
+import { calculateFleetData, createVehicleClass } from './fleet';
+
+const inputs = {
+    vehicleClasses: [createVehicleClass(), createVehicleClass({ id: 'class2', numVehicles: 3, interestRate: 8 })],
+    downPayment: 10,
+    downPaymentType: 'percent',
+    tradeInCredit: 0,
+    salesTaxRate: 0,
+    fees: 0
+};
+
+describe('projectionMetrics', () => {
+    test('takes equity at the end of term and nets it out of the cash paid', () => {
+        const result = calculateFleetData(inputs);
+        const { finalEquity, totalCost } = projectionMetrics(result);
+        const payments = result.data.slice(1, 61).reduce((total, row) => total + row.payment, 0);
+
+        expect(finalEquity).toBe(result.data[60].equity);
+        expect(totalCost).toBeCloseTo(result.downPayment + payments - finalEquity, 6);
+    });
+});
+
+describe('describeChange', () => {
+    test('labels changes in each unit', () => {
+        expect(describeChange(findSensitivityInput('interestRate'), 1)).toBe('+1 pts');
+        expect(describeChange(findSensitivityInput('depreciationRate'), -20)).toBe('−20%');
+        expect(describeChange(findSensitivityInput('loanTerm'), 0)).toBe('Current');
+    });
+});
+
+describe('runTornado', () => {
+    const tornado = runTornado(inputs);
+    const row = (key) => tornado.rows.find((candidate) => candidate.key === key);
+
+    test('measures each swing against the base case', () => {
+        expect(tornado.base).toEqual(projectionMetrics(calculateFleetData(inputs)));
+        expect(tornado.rows.map((candidate) => candidate.key)).toEqual(Object.keys(DEFAULT_SWINGS));
+        expect(row('interestRate').lowLabel).toBe('−1 pts');
+        expect(row('interestRate').totalCost.high).toBeGreaterThan(0);
+        expect(row('interestRate').totalCost.low).toBeLessThan(0);
+    });
+
+    test('faster depreciation erodes equity', () => {
+        expect(row('depreciationRate').finalEquity.high).toBeLessThan(0);
+        expect(row('depreciationRate').finalEquity.low).toBeGreaterThan(0);
+    });
+
+    test('inputs the model ignores have no effect', () => {
+        expect(row('monthlyMiles').finalEquity).toEqual({ low: 0, high: 0 });
+    });
+
+    test('uses custom swings', () => {
+        const wider = runTornado(inputs, { ...DEFAULT_SWINGS, interestRate: 2 });
+        const widerRow = wider.rows.find((candidate) => candidate.key === 'interestRate');
+
+        expect(widerRow.highLabel).toBe('+2 pts');
+        expect(widerRow.totalCost.high).toBeGreaterThan(row('interestRate').totalCost.high);
+    });
+});
+
+describe('runHeatmap', () => {
+    test('sweeps both inputs on a grid with the base case in the middle', () => {
+        const heatmap = runHeatmap(inputs, { rowKey: 'depreciationRate', columnKey: 'interestRate' });
+
+        expect(heatmap.rows).toEqual(['−40%', '−20%', 'Current', '+20%', '+40%']);
+        expect(heatmap.columns).toEqual(['−2 pts', '−1 pts', 'Current', '+1 pts', '+2 pts']);
+        expect(heatmap.cells[2][2]).toBeCloseTo(projectionMetrics(calculateFleetData(inputs)).totalCost, 6);
+        // Total cost by default, so a higher rate shows up.
+        expect(heatmap.cells[2][0]).toBeLessThan(heatmap.cells[2][4]);
+        expect(heatmap.cells[0][2]).toBeLessThan(heatmap.cells[4][2]);
+    });
+
+    test('can show final equity instead', () => {
+        const heatmap = runHeatmap(inputs, { rowKey: 'depreciationRate', columnKey: 'interestRate', metric: 'finalEquity' });
+
+        expect(heatmap.cells[2][2]).toBe(projectionMetrics(calculateFleetData(inputs)).finalEquity);
+        expect(heatmap.cells[0][2]).toBeGreaterThan(heatmap.cells[4][2]);
+        // Equity at the end of the term is after the loan is repaid.
+        expect(heatmap.cells[2][0]).toBe(heatmap.cells[2][4]);
+    });
+});
@@ -0,0 +1,37 @@
+/**
+ * Negative-equity ("underwater") analysis of a projection's monthly rows.
+ */
+
+/**
+ * Returns the underwater months, grouped into contiguous periods, the month
+ * equity turns positive again after the first period (null if it never
+ * goes under or never recovers) and the worst month.
+ */
+export const analyzeUnderwater = (data) => {
+    const underwaterMonths = data.filter((row) => row.equity < 0).map((row) => row.month);
+    const periods = [];
+
+    underwaterMonths.forEach((month) => {
+        const last = periods[periods.length - 1];
+        if (last && month === last.end + 1) {
+            last.end = month;
+        } else {
+            periods.push({ start: month, end: month });
+        }
+    });
+
+    const worst = data.reduce((lowest, row) => (row.equity < lowest.equity ? row : lowest), { month: null, equity: 0 });
+    const firstPeriod = periods[0];
+    const recovery = firstPeriod ? data.find((row) => row.month > firstPeriod.end && row.equity >= 0) : null;
+    const lastRow = data[data.length - 1];
+
+    return {
+        underwaterMonths,
+        periods,
+        monthsUnderwater: underwaterMonths.length,
+        breakEvenMonth: recovery ? recovery.month : null,
+        worstMonth: worst.month,
+        worstEquity: worst.equity,
+        underwaterAtEnd: Boolean(lastRow && lastRow.equity < 0)
+    };
+};
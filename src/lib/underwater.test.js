@@ -0,0 +1,49 @@
+import { analyzeUnderwater } from './underwater';
+import { calculateData } from './calculateData';
+
+const rows = (equities) => equities.map((equity, month) => ({ month, equity }));
+
+describe('analyzeUnderwater', () => {
+    test('finds the underwater period, break-even month and worst month', () => {
+        const analysis = analyzeUnderwater(rows([0, -100, -300, -200, 50, 120]));
+
+        expect(analysis.underwaterMonths).toEqual([1, 2, 3]);
+        expect(analysis.periods).toEqual([{ start: 1, end: 3 }]);
+        expect(analysis.breakEvenMonth).toBe(4);
+        expect(analysis.worstMonth).toBe(2);
+        expect(analysis.worstEquity).toBe(-300);
+        expect(analysis.underwaterAtEnd).toBe(false);
+    });
+
+    test('reports no break-even when equity never goes negative', () => {
+        const analysis = analyzeUnderwater(rows([0, 10, 20]));
+
+        expect(analysis.monthsUnderwater).toBe(0);
+        expect(analysis.breakEvenMonth).toBeNull();
+        expect(analysis.worstMonth).toBeNull();
+    });
+
+    test('splits separate periods and flags ending underwater', () => {
+        const analysis = analyzeUnderwater(rows([-5, 5, -1, -2]));
+
+        expect(analysis.periods).toEqual([{ start: 0, end: 0 }, { start: 2, end: 3 }]);
+        expect(analysis.breakEvenMonth).toBe(1);
+        expect(analysis.underwaterAtEnd).toBe(true);
+    });
+
+    test('matches the heavy use projection', () => {
+        const analysis = analyzeUnderwater(calculateData({
+            depreciationModel: 'heavyuse',
+            depreciationRate: 1,
+            loanTerm: 60,
+            interestRate: 6.8,
+            purchasePrice: 65000,
+            numVehicles: 1
+        }).data);
+
+        expect(analysis.periods[0].start).toBe(1);
+        expect(analysis.breakEvenMonth).toBe(analysis.periods[0].end + 1);
+        expect(analysis.worstMonth).toBe(6);
+        expect(analysis.worstEquity).toBe(-1866);
+    });
+});